@@ -0,0 +1,46 @@
+/*
+ * ES module entry point - re-exports the CommonJS module index-async.js, so both module systems share one instance
+ * (and one default attribute type registry and attribute data cache).
+ */
+import searchRequestTools from './index-async.js'
+
+export const {
+      addFacet
+    , addRefinement
+    , addRefinements
+    , applyPatch
+    , AttributeDataError
+    , attributeTypes
+    , createAttributeTypeRegistry
+    , createPatch
+    , createSearchRequestTools
+    , decodeRequest
+    , describeRequest
+    , diffRequests
+    , encodeRequest
+    , evaluateRequest
+    , facetsToRefinementOptions
+    , getRefinementFacets
+    , getRefinements
+    , hashRequest
+    , invalidateAttributeData
+    , normalizeRequest
+    , parseQuery
+    , printQuery
+    , query
+    , QueryParseError
+    , RefinementValueError
+    , removeFacet
+    , removeRefinement
+    , removeRefinements
+    , RequestDecodeError
+    , RequestValidationError
+    , SearchRequestState
+    , setGroupBy
+    , setPaging
+    , setReturnType
+    , setSort
+    , validateRequest
+} = searchRequestTools
+
+export default searchRequestTools
@@ -0,0 +1,11 @@
+#!/usr/bin/env node
+
+/*
+ * Command-line tool for building and transforming Search API requests from JSON files - see lib/cli.js, or run
+ * 'search-request-tools --help'.
+ */
+const { run } = require('../lib/cli')
+
+run(process.argv.slice(2)).then(code => {
+    process.exitCode = code
+})
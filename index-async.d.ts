@@ -0,0 +1,58 @@
+/*
+ * Type definitions for the async entry point (index-async.js). The request model and the functions shared with the
+ * synchronous entry point are defined in index.d.ts - only the add functions, applyPatch, SearchRequestState and the
+ * tools returned by createSearchRequestTools differ.
+ */
+import type {
+    ImmutableSearchRequestTools, MetadataProvider, PatchOperation, RefinementNode, Refinement, RemoveRefinement,
+    ResultType, Schema, SchemaMetadata, SearchRequest, SearchRequestStateEvent, SearchRequestStateOptions,
+    SearchRequestTools, SearchRequestToolsOptions, SerializedSearchRequestState
+} from './index'
+
+export * from './index'
+
+export interface AsyncSearchRequestToolsOptions extends Omit<SearchRequestToolsOptions, 'metadataProvider'> {
+    metadataProvider?: MetadataProvider | ((schema: Schema) => Promise<SchemaMetadata>) | null
+}
+
+export interface AsyncSearchRequestTools extends Omit<SearchRequestTools, 'addRefinements' | 'applyPatch'> {
+    addRefinements(request: SearchRequest, refinements: Refinement[], result_type?: ResultType): Promise<void>
+    applyPatch(request: SearchRequest, patch: PatchOperation[]): Promise<void>
+}
+
+export interface AsyncImmutableSearchRequestTools extends Omit<ImmutableSearchRequestTools, 'addRefinements' | 'applyPatch'> {
+    addRefinements<T extends SearchRequest>(request: T, refinements: Refinement[], result_type?: ResultType): Promise<T>
+    applyPatch<T extends SearchRequest>(request: T, patch: PatchOperation[]): Promise<T>
+}
+
+export declare function createSearchRequestTools(options: AsyncSearchRequestToolsOptions & { immutable: true }): AsyncImmutableSearchRequestTools
+export declare function createSearchRequestTools(options?: AsyncSearchRequestToolsOptions): AsyncSearchRequestTools
+
+export declare function addRefinement(request: SearchRequest, node: RefinementNode, schema?: Schema, service?: 'text' | 'text_chem'): void
+export declare function addRefinements(request: SearchRequest, refinements: Refinement[], result_type?: ResultType): Promise<void>
+export declare function applyPatch(request: SearchRequest, patch: PatchOperation[]): Promise<void>
+
+/*
+ * The add functions return a promise. While an add function is pending, the other functions wait for it and also
+ * return a promise.
+ */
+export declare class SearchRequestState {
+    constructor(request: SearchRequest, options?: Omit<SearchRequestStateOptions, 'metadataProvider'> & Pick<AsyncSearchRequestToolsOptions, 'metadataProvider'>)
+    static restore(serialized: SerializedSearchRequestState, options?: Omit<SearchRequestStateOptions, 'metadataProvider'>
+        & Pick<AsyncSearchRequestToolsOptions, 'metadataProvider'>): SearchRequestState
+    readonly request: SearchRequest
+    readonly maxHistory: number
+    addRefinement(node: RefinementNode, schema?: Schema, service?: 'text' | 'text_chem'): SearchRequest | Promise<SearchRequest>
+    addRefinements(refinements: Refinement[], result_type?: ResultType): Promise<SearchRequest>
+    removeRefinement(nodeOrAttribute: RefinementNode | string, value?: unknown): SearchRequest | Promise<SearchRequest>
+    removeRefinements(refinements: RemoveRefinement[]): SearchRequest | Promise<SearchRequest>
+    clearRefinements(attributes?: string[]): SearchRequest | Promise<SearchRequest>
+    setRequest(request: SearchRequest): SearchRequest | Promise<SearchRequest>
+    undo(): SearchRequest
+    redo(): SearchRequest
+    canUndo(): boolean
+    canRedo(): boolean
+    on(event: 'change', listener: (event: SearchRequestStateEvent) => void): () => void
+    off(event: 'change', listener: (event: SearchRequestStateEvent) => void): void
+    serialize(): SerializedSearchRequestState
+}
@@ -0,0 +1,711 @@
+/*
+ * Type definitions for the Search API request model as built by these functions, and for the synchronous entry point
+ * (index.js). The async entry point (index-async.js) shares these types - see index-async.d.ts.
+ */
+
+// Search API request model
+
+export type LogicalOperator = 'and' | 'or'
+
+export type ResultType = 'entry' | 'polymer_entity' | 'non_polymer_entity' | 'polymer_instance' | 'assembly' | 'mol_definition'
+
+export type Schema = 'structure' | 'chemical'
+
+export type Service = 'text' | 'text_chem' | 'full_text' | 'sequence' | 'seqmotif' | 'structure' | 'strucmotif' | 'chemical'
+
+/* services that can be used as refinements with a 'service' instead of an 'attribute' */
+export type RefinementService = 'sequence' | 'seqmotif' | 'structure' | 'chemical' | 'full_text'
+
+/* a number, or a date string such as '2010-01-01' */
+export type NumberOrDate = number | string
+
+export interface RangeValue {
+    from?: NumberOrDate
+    to?: NumberOrDate
+    include_lower?: boolean
+    include_upper?: boolean
+}
+
+export type ComparisonOperator = 'less' | 'less_or_equal' | 'greater' | 'greater_or_equal' | 'equals'
+
+export type AttributeOperator = 'exact_match' | 'in' | 'range' | ComparisonOperator | 'exists' | 'contains_words' | 'contains_phrase'
+
+interface AttributeParametersBase {
+    attribute: string
+    negation?: boolean
+    case_sensitive?: boolean
+}
+
+export interface ExactMatchParameters extends AttributeParametersBase {
+    operator: 'exact_match'
+    value: string | number | boolean
+}
+
+export interface InParameters extends AttributeParametersBase {
+    operator: 'in'
+    value: Array<string | number>
+}
+
+export interface RangeParameters extends AttributeParametersBase {
+    operator: 'range'
+    value: RangeValue
+}
+
+export interface ComparisonParameters extends AttributeParametersBase {
+    operator: ComparisonOperator
+    value: NumberOrDate
+}
+
+export interface ExistsParameters extends AttributeParametersBase {
+    operator: 'exists'
+}
+
+export interface ContainsParameters extends AttributeParametersBase {
+    operator: 'contains_words' | 'contains_phrase'
+    value: string
+}
+
+/* 'text' and 'text_chem' service parameters - the value type depends on the operator */
+export type AttributeParameters = ExactMatchParameters | InParameters | RangeParameters | ComparisonParameters
+    | ExistsParameters | ContainsParameters
+
+export interface FullTextParameters {
+    value: string
+}
+
+export interface SequenceParameters {
+    value: string
+    evalue_cutoff?: number
+    identity_cutoff?: number
+    sequence_type?: 'protein' | 'dna' | 'rna'
+    target?: string
+}
+
+export interface SeqmotifParameters {
+    value: string
+    pattern_type: 'simple' | 'prosite' | 'regex'
+    sequence_type?: 'protein' | 'dna' | 'rna'
+}
+
+export interface StructureParameters {
+    value: { entry_id: string, assembly_id?: string, asym_id?: string }
+    operator?: 'strict_shape_match' | 'relaxed_shape_match'
+}
+
+export interface StrucmotifParameters {
+    value: Record<string, unknown>
+    [key: string]: unknown
+}
+
+export interface DescriptorParameters {
+    value: string
+    type: 'descriptor'
+    descriptor_type: 'SMILES' | 'InChI'
+    match_type?: string
+}
+
+export interface FormulaParameters {
+    value: string
+    type: 'formula'
+    match_subset?: boolean
+}
+
+export type ChemicalParameters = DescriptorParameters | FormulaParameters
+
+export interface AttributeTerminalNode {
+    type: 'terminal'
+    service: 'text' | 'text_chem'
+    parameters: AttributeParameters
+}
+
+/* a 'text' service terminal node without parameters matches all documents */
+export interface AllTerminalNode {
+    type: 'terminal'
+    service: 'text'
+    parameters?: undefined
+}
+
+export interface FullTextTerminalNode { type: 'terminal', service: 'full_text', parameters: FullTextParameters }
+export interface SequenceTerminalNode { type: 'terminal', service: 'sequence', parameters: SequenceParameters }
+export interface SeqmotifTerminalNode { type: 'terminal', service: 'seqmotif', parameters: SeqmotifParameters }
+export interface StructureTerminalNode { type: 'terminal', service: 'structure', parameters: StructureParameters }
+export interface StrucmotifTerminalNode { type: 'terminal', service: 'strucmotif', parameters: StrucmotifParameters }
+export interface ChemicalTerminalNode { type: 'terminal', service: 'chemical', parameters: ChemicalParameters }
+
+export type ServiceTerminalNode = FullTextTerminalNode | SequenceTerminalNode | SeqmotifTerminalNode
+    | StructureTerminalNode | ChemicalTerminalNode
+
+export type TerminalNode = AttributeTerminalNode | AllTerminalNode | ServiceTerminalNode | StrucmotifTerminalNode
+
+/*
+ * Group node labels set by these functions: a service name, 'groups-refinements', 'service-refinements',
+ * 'nested-attribute', or the attribute of an attribute group node.
+ */
+export type GroupLabel = Service | 'groups-refinements' | 'service-refinements' | 'nested-attribute' | (string & {})
+
+export interface GroupNode {
+    type: 'group'
+    logical_operator: LogicalOperator
+    nodes: Node[]
+    label?: GroupLabel
+}
+
+/*
+ * A nested attribute group node - the nodes after the first must be nested attributes of the attribute of the first
+ * node. Also the shape of facet filter group nodes, where the second node is the facet filter.
+ */
+export interface NestedAttributeGroupNode {
+    type: 'group'
+    logical_operator: 'and'
+    nodes: [AttributeTerminalNode, AttributeTerminalNode, ...AttributeTerminalNode[]]
+    label?: 'nested-attribute'
+}
+
+export type Node = TerminalNode | GroupNode
+
+export interface SortOption {
+    sort_by: string
+    direction?: 'asc' | 'desc'
+}
+
+export type AggregationType = 'terms' | 'histogram' | 'date_histogram' | 'filter'
+
+/* a facet as passed to addFacet - filter facets are added to the request as { filter, facets } */
+export type Facet =
+    | { name?: string, aggregation_type: 'terms', attribute: string, min_interval_population?: number, max_num_intervals?: number }
+    | { name?: string, aggregation_type: 'histogram', attribute: string, interval: number, min_interval_population?: number }
+    | { name?: string, aggregation_type: 'date_histogram', attribute: string, interval: 'year' | 'month' | 'day', min_interval_population?: number }
+    | FilterFacet
+
+export interface FilterFacet {
+    aggregation_type?: 'filter'
+    filter: Node
+    facets: Facet[]
+}
+
+export type AggregationMethod = 'matching_deposit_group_id' | 'sequence_identity' | 'matching_uniprot_accession'
+
+export interface GroupBy {
+    aggregation_method: AggregationMethod
+    similarity_cutoff?: 100 | 95 | 90 | 70 | 50 | 30
+    ranking_criteria_type?: SortOption
+}
+
+export type GroupByReturnType = 'representatives' | 'groups'
+
+export type ResultsContentType = 'experimental' | 'computational'
+
+export interface RequestOptions {
+    paginate?: { start: number, rows: number }
+    sort?: SortOption[]
+    facets?: Array<Facet | Record<string, unknown>>
+    group_by?: GroupBy
+    group_by_return_type?: GroupByReturnType
+    results_content_type?: ResultsContentType[]
+    results_verbosity?: 'compact' | 'minimal' | 'verbose'
+    return_all_hits?: boolean
+    return_counts?: boolean
+    scoring_strategy?: string
+    [key: string]: unknown
+}
+
+export interface SearchRequest {
+    query: Node
+    return_type?: ResultType
+    request_options?: RequestOptions
+    [key: string]: unknown
+}
+
+// refinements
+
+/*
+ * A refinement panel value: a keyword, a numeric range such as '*-0.5', '0.5-1.0', '4.0-*', '[0.5,1.0]', '>=3' or
+ * '-1.5..-0.5', the start of a date range such as '2010', '2010-03' or '2010-03-15', an open-ended ('*-2000',
+ * '2000-*'), ISO ('2010-01-01/2012-06-30') or relative ('now-30d') date range. Search API parameter values are also
+ * accepted when removing refinements.
+ */
+export type RefinementValue = string | number | boolean
+
+/* a value excluded from an otherwise included refinement */
+export interface ExcludedRefinementValue {
+    value: RefinementValue
+    exclude?: boolean
+}
+
+export interface AttributeRefinement {
+    attribute: string
+    values: Array<RefinementValue | ExcludedRefinementValue>
+    /* exclude all values - added as 'negation' nodes in the 'groups-exclusions' group node */
+    exclude?: boolean
+    /* nested attribute conditions - added instead of the facet filter of the attribute */
+    nestedAttribute?: NestedAttributeCondition | NestedAttributeCondition[]
+    /* the date interval of the values of a date attribute, e.g. '1M' - the attribute type interval by default */
+    interval?: string
+    /* combine the included values with 'or' (any) or 'and' (all) - the uiAttrMap 'match', or as in the request, by default */
+    match?: RefinementMatch
+}
+
+export type RefinementMatch = 'any' | 'all'
+
+/* the operator is 'exact_match' and the value is the uiAttrMap nestedAttribute value by default */
+export interface NestedAttributeCondition {
+    attribute: string
+    value?: unknown
+    operator?: AttributeOperator
+}
+
+export interface ServiceRefinement {
+    service: RefinementService
+    values: unknown[]
+    parameters?: Record<string, unknown>
+}
+
+export type Refinement = AttributeRefinement | ServiceRefinement
+
+/* as Refinement - if 'values' is omitted, all refinements for the attribute or service are removed */
+export type RemoveRefinement = {
+        attribute: string
+        values?: RefinementValue[]
+        exclude?: boolean
+        nestedAttribute?: NestedAttributeCondition | NestedAttributeCondition[]
+        interval?: string
+    }
+    | { service: RefinementService, values?: unknown[], parameters?: Record<string, unknown> }
+
+/* the node passed to addRefinement and removeRefinement */
+export type RefinementNode = AttributeTerminalNode | NestedAttributeGroupNode | ServiceTerminalNode
+
+export interface Refinements {
+    refinements: Array<{ attribute: string, values: Array<RefinementValue | RefinementValue[]>, exclude?: true, match?: 'all' }>
+    facetFilterRefinements: Array<{ attribute: string, values: Array<RefinementValue | RefinementValue[]>, facetFilter: AttributeTerminalNode, exclude?: true, match?: 'all' }>
+    nestedAttributeRefinements: Array<{ attribute: string, values: Array<RefinementValue | RefinementValue[]>, nestedAttribute: AttributeParameters | AttributeParameters[], exclude?: true, match?: 'all' }>
+    serviceRefinements: Array<{ service: RefinementService, values: unknown[], parameters: Record<string, unknown> }>
+}
+
+// metadata
+
+export interface NestedAttribute {
+    attribute: string
+    value?: string | number
+}
+
+/* an entry of the metadata uiAttrMap */
+export interface AttributeMetadata {
+    attribute: string
+    display_name?: string
+    type?: string
+    units?: string
+    nestedAttribute?: NestedAttribute | NestedAttribute[]
+    /* the date interval of a date attribute, e.g. '1M' or '5y' */
+    interval?: string
+    /* combine the selected values of the attribute with 'or' (any) or 'and' (all) */
+    match?: RefinementMatch
+    [key: string]: unknown
+}
+
+export interface SchemaMetadata {
+    uiAttrMap: Record<string, AttributeMetadata>
+    facetFilters: Record<string, AttributeTerminalNode>
+}
+
+export type Metadata = Partial<Record<Schema, SchemaMetadata>>
+
+export type MetadataProvider = Metadata | ((schema: Schema) => SchemaMetadata)
+
+// attribute types
+
+export type AttributeTypeName = 'number' | 'integer' | 'date' | 'keyword' | 'text'
+
+export interface AttributeType {
+    type: AttributeTypeName
+    bucket?: 'interval' | 'year' | 'month' | 'day' | null
+    span?: number
+    /*
+     * histogram interval used by getRefinementFacets for number and integer attributes, or the date interval that sets
+     * the bucket and span of a date attribute, e.g. '1M' or '5y'
+     */
+    interval?: number | string
+}
+
+export interface AttributeTypeRegistry {
+    register(attribute: string, type: AttributeTypeName | AttributeType): AttributeTypeRegistry
+    registerMetadata(uiAttrMap: Record<string, AttributeMetadata>): AttributeTypeRegistry
+    get(attribute: string, attrObj?: AttributeMetadata): AttributeType
+}
+
+// validation, description and encoding
+
+export interface ValidationError {
+    path: string
+    code: string
+    message: string
+}
+
+export interface ValidateOptions {
+    schema?: Schema
+    metadataProvider?: MetadataProvider
+}
+
+/* 'id' is an attribute path or a function returning the id of a document - 'rcsb_id' (or 'id') by default */
+export interface EvaluateOptions<D = Record<string, unknown>, I = string> {
+    id?: string | ((document: D) => I)
+    metadataProvider?: MetadataProvider
+}
+
+/* 'aliases' are added to the default aliases organism, method, resolution and release_date */
+export interface QueryLanguageOptions {
+    schema?: Schema
+    return_type?: ResultType
+    aliases?: Record<string, string>
+    metadataProvider?: MetadataProvider
+    attributeTypes?: AttributeTypeRegistry
+}
+
+export type DescriptionTokenType = 'attribute' | 'operator' | 'value' | 'unit' | 'logical' | 'paren' | 'text'
+
+export interface DescriptionToken {
+    type: DescriptionTokenType
+    text: string
+    path: string
+    attribute?: string
+}
+
+export interface DescribeOptions {
+    schema?: Schema
+    locale?: string
+    labels?: Record<string, string> & { attributes?: Record<string, string> }
+    metadataProvider?: MetadataProvider
+}
+
+/* the attribute types and clock used to return date ranges as refinement values */
+export interface GetRefinementsOptions {
+    attributeTypes?: AttributeTypeRegistry
+    now?: () => Date | number
+}
+
+export interface EncodeOptions {
+    metadataProvider?: MetadataProvider
+}
+
+/* 'attributeTypes' is used to check the facets of the decoded request */
+export interface DecodeOptions extends EncodeOptions {
+    attributeTypes?: AttributeTypeRegistry
+}
+
+export declare class RequestValidationError extends Error {
+    constructor(errors: ValidationError[])
+    errors: ValidationError[]
+}
+
+export declare class RequestDecodeError extends Error {
+    constructor(message: string)
+}
+
+export declare class QueryParseError extends Error {
+    constructor(message: string, properties?: { position?: number, length?: number })
+    position: number
+    length: number
+}
+
+export declare class RefinementValueError extends Error {
+    constructor(message: string, properties?: { attribute?: string, value?: unknown })
+    attribute: string | null
+    value: unknown
+}
+
+export type AttributeDataErrorCode = 'network' | 'timeout' | 'http' | 'invalid_response'
+
+export declare class AttributeDataError extends Error {
+    constructor(message: string, properties?: { code?: AttributeDataErrorCode, status?: number, schema?: string, attributes?: string[], cause?: unknown })
+    code: AttributeDataErrorCode
+    status: number | null
+    schema: string | null
+    attributes: string[]
+    cause?: unknown
+}
+
+// query builder
+
+export interface AttributeClause {
+    equals(value: string | number | boolean): QueryBuilder
+    exactMatch(value: string | number | boolean): QueryBuilder
+    in(values: Array<string | number>): QueryBuilder
+    range(from?: NumberOrDate, to?: NumberOrDate, bounds?: { include_lower?: boolean, include_upper?: boolean }): QueryBuilder
+    less(value: NumberOrDate): QueryBuilder
+    lessOrEqual(value: NumberOrDate): QueryBuilder
+    greater(value: NumberOrDate): QueryBuilder
+    greaterOrEqual(value: NumberOrDate): QueryBuilder
+    exists(): QueryBuilder
+    containsWords(value: string): QueryBuilder
+    containsPhrase(value: string): QueryBuilder
+}
+
+export interface QueryBuilder {
+    text(attribute: string): AttributeClause
+    textChem(attribute: string): AttributeClause
+    fullText(value: string): QueryBuilder
+    sequence(value: string, parameters?: Omit<SequenceParameters, 'value'>): QueryBuilder
+    seqmotif(value: string, parameters: Omit<SeqmotifParameters, 'value'>): QueryBuilder
+    structure(value: StructureParameters['value'], parameters?: Omit<StructureParameters, 'value'>): QueryBuilder
+    chemical(value: string, parameters: Omit<DescriptorParameters, 'value'> | Omit<FormulaParameters, 'value'>): QueryBuilder
+    node(node: Node): QueryBuilder
+    and(...items: Array<QueryBuilder | Node>): QueryBuilder
+    or(...items: Array<QueryBuilder | Node>): QueryBuilder
+    not(): QueryBuilder
+    returnType(returnType: ResultType): QueryBuilder
+    requestOptions(requestOptions: RequestOptions): QueryBuilder
+    toNode(): Node
+    build(): SearchRequest & { query: GroupNode, return_type: ResultType }
+}
+
+// request options
+
+/* an attribute name, or 'score' to sort by relevance */
+export type SortBy = string | SortOption | Array<string | SortOption>
+
+export interface ResultOptions {
+    results_content_type?: ResultsContentType[]
+    return_all_hits?: boolean
+}
+
+export interface RequestOptionsOptions {
+    metadataProvider?: MetadataProvider | null
+    attributeTypes?: AttributeTypeRegistry
+}
+
+// facets
+
+export interface FacetBucket {
+    label: string | number
+    population: number
+}
+
+export interface FacetResult {
+    name: string
+    buckets?: FacetBucket[]
+    facets?: FacetResult[]
+}
+
+export interface RefinementOption {
+    /* the refinement value accepted by addRefinements */
+    value: string
+    label: string
+    count: number
+    selected: boolean
+    excluded: boolean
+}
+
+export interface RefinementOptions {
+    name: string
+    attribute: string
+    options: RefinementOption[]
+}
+
+export type RefinementFacetAttribute = string
+    | { attribute: string, name?: string, interval?: number, min_interval_population?: number, max_num_intervals?: number }
+
+export interface RefinementFacetsOptions extends RequestOptionsOptions {
+    result_type?: ResultType
+}
+
+// request diffs
+
+/* a refinement as returned by getRefinements */
+export type RefinementEntry = Refinements[keyof Refinements][number]
+
+/* a refinement with both removed ('from') and added ('to') values */
+export type ChangedRefinement = RefinementEntry extends infer R
+    ? R extends { values: infer V } ? Omit<R, 'values'> & { from: V, to: V } : never
+    : never
+
+export interface RequestDiff {
+    refinements: { added: RefinementEntry[], removed: RefinementEntry[], changed: ChangedRefinement[] }
+    query: {
+        added: TerminalNode[]
+        removed: TerminalNode[]
+        changed: Array<{ service: string, attribute?: string, from: Record<string, unknown>, to: Record<string, unknown> }>
+    }
+    /* 'return_type' or a request_options option - facets are compared by 'name' */
+    options: Array<{ option: 'return_type' | keyof RequestOptions, name?: string, from?: unknown, to?: unknown }>
+}
+
+/* a patch operation returned by createPatch - a 'set' operation with a null 'value' removes the option */
+export type PatchOperation =
+      { op: 'set', option: 'return_type' | keyof RequestOptions, name?: string, value: unknown }
+    | { op: 'replace', service: string, from: Record<string, unknown>, to: Record<string, unknown> }
+    | { op: 'remove', refinements: RefinementEntry[] }
+    | { op: 'add', refinements: RefinementEntry[] }
+
+// search request tools
+
+/* a Map-like attribute data cache - 'keys' is optional */
+export interface AttributeDataCache {
+    get(key: string): unknown
+    set(key: string, value: unknown): unknown
+    has(key: string): boolean
+    delete(key: string): boolean
+    clear(): void
+    keys?(): Iterable<string>
+}
+
+export interface SearchRequestToolsOptions {
+    metadataProvider?: MetadataProvider | null
+    attributeTypes?: AttributeTypeRegistry | Record<string, AttributeTypeName | AttributeType>
+    strict?: boolean
+    immutable?: boolean
+    /* return to the first page of results when a refinement is added or removed */
+    resetPaging?: boolean
+    /* the current time, used to resolve relative date refinement values such as 'now-30d' - Date.now by default */
+    now?: () => Date | number
+    /* attribute data options - used by the async functions only */
+    fetch?: (url: string, options: Record<string, unknown>) => Promise<{ ok: boolean, status: number, statusText?: string, json(): Promise<unknown> }>
+    cache?: AttributeDataCache
+    baseUrl?: string
+    headers?: Record<string, string>
+    timeout?: number
+    retries?: number
+    retryDelay?: number
+    ttl?: number
+    batchDelay?: number
+    fallbackMetadata?: Metadata | null
+}
+
+/* functions shared by the synchronous and async search request tools */
+export interface SharedSearchRequestTools {
+    attributeTypes: AttributeTypeRegistry
+    createPatch(diff: RequestDiff): PatchOperation[]
+    decodeRequest(encoded: string, options?: DecodeOptions): SearchRequest
+    describeRequest(request: SearchRequest, options?: DescribeOptions & { tokens?: false }): string
+    describeRequest(request: SearchRequest, options: DescribeOptions & { tokens: true }): DescriptionToken[]
+    diffRequests(a: SearchRequest, b: SearchRequest, options?: GetRefinementsOptions): RequestDiff
+    encodeRequest(request: SearchRequest, options?: EncodeOptions): string
+    evaluateRequest<D = Record<string, unknown>, I = string>(request: SearchRequest, documents: D[], options?: EvaluateOptions<D, I>): I[]
+    facetsToRefinementOptions(response: { facets?: FacetResult[] }, request: SearchRequest): RefinementOptions[]
+    getRefinementFacets(attributes: RefinementFacetAttribute[], options?: { result_type?: ResultType }): Facet[]
+    getRefinements(request: SearchRequest, options?: GetRefinementsOptions): Refinements
+    hashRequest(request: SearchRequest): string
+    invalidateAttributeData(schema?: Schema, attributes?: string[]): void
+    normalizeRequest<T extends SearchRequest>(request: T): T
+    parseQuery(text: string, options?: QueryLanguageOptions): SearchRequest
+    printQuery(request: SearchRequest, options?: QueryLanguageOptions): string
+    query(): QueryBuilder
+    validateRequest(request: unknown, options?: ValidateOptions): ValidationError[]
+}
+
+/*
+ * Search request tools returned by createSearchRequestTools. In immutable mode (the 'immutable' option), the add and
+ * remove functions return a new request instead of modifying the request - see ImmutableSearchRequestTools.
+ */
+export interface SearchRequestTools extends SharedSearchRequestTools {
+    addRefinement(request: SearchRequest, node: RefinementNode, schema?: Schema, service?: 'text' | 'text_chem'): void
+    addRefinements(request: SearchRequest, refinements: Refinement[], result_type?: ResultType): void
+    removeRefinement(request: SearchRequest, nodeOrAttribute: RefinementNode | string, value?: unknown): number
+    removeRefinements(request: SearchRequest, refinements: RemoveRefinement[]): number
+    setPaging(request: SearchRequest, start?: number, rows?: number): void
+    setSort(request: SearchRequest, sort: SortBy | null): void
+    addFacet(request: SearchRequest, facet: Facet): void
+    removeFacet(request: SearchRequest, name: string): number
+    setGroupBy(request: SearchRequest, groupBy: GroupBy | null, groupByReturnType?: GroupByReturnType): void
+    setReturnType(request: SearchRequest, return_type: ResultType, resultOptions?: ResultOptions): void
+    applyPatch(request: SearchRequest, patch: PatchOperation[]): void
+}
+
+export interface ImmutableSearchRequestTools extends SharedSearchRequestTools {
+    addRefinement<T extends SearchRequest>(request: T, node: RefinementNode, schema?: Schema, service?: 'text' | 'text_chem'): T
+    addRefinements<T extends SearchRequest>(request: T, refinements: Refinement[], result_type?: ResultType): T
+    removeRefinement<T extends SearchRequest>(request: T, nodeOrAttribute: RefinementNode | string, value?: unknown): T
+    removeRefinements<T extends SearchRequest>(request: T, refinements: RemoveRefinement[]): T
+    setPaging<T extends SearchRequest>(request: T, start?: number, rows?: number): T
+    setSort<T extends SearchRequest>(request: T, sort: SortBy | null): T
+    addFacet<T extends SearchRequest>(request: T, facet: Facet): T
+    removeFacet<T extends SearchRequest>(request: T, name: string): T
+    setGroupBy<T extends SearchRequest>(request: T, groupBy: GroupBy | null, groupByReturnType?: GroupByReturnType): T
+    setReturnType<T extends SearchRequest>(request: T, return_type: ResultType, resultOptions?: ResultOptions): T
+    applyPatch<T extends SearchRequest>(request: T, patch: PatchOperation[]): T
+}
+
+// search request state
+
+export interface SearchRequestStateOptions extends Omit<SearchRequestToolsOptions, 'immutable'> {
+    /* the number of undo (and redo) steps kept - 50 by default */
+    maxHistory?: number
+}
+
+export interface SearchRequestStateEvent {
+    type: 'add' | 'remove' | 'clear' | 'set' | 'undo' | 'redo'
+    request: SearchRequest
+    previous: SearchRequest
+    attributes: string[]
+    services: string[]
+    diff: RequestDiff
+}
+
+export interface SerializedSearchRequestState {
+    request: SearchRequest
+    undo: SearchRequest[]
+    redo: SearchRequest[]
+}
+
+// synchronous entry point
+
+export declare const attributeTypes: AttributeTypeRegistry
+
+export declare function createAttributeTypeRegistry(types?: Record<string, AttributeTypeName | AttributeType>): AttributeTypeRegistry
+
+export declare function createSearchRequestTools(options: SearchRequestToolsOptions & { immutable: true }): ImmutableSearchRequestTools
+export declare function createSearchRequestTools(options?: SearchRequestToolsOptions): SearchRequestTools
+
+export declare function addRefinement(request: SearchRequest, node: RefinementNode, schema?: Schema, service?: 'text' | 'text_chem'): void
+export declare function addRefinements(request: SearchRequest, refinements: Refinement[], result_type?: ResultType): void
+export declare function removeRefinement(request: SearchRequest, nodeOrAttribute: RefinementNode | string, value?: unknown,
+    options?: { attributeTypes?: AttributeTypeRegistry, exclude?: boolean, nestedAttribute?: NestedAttributeCondition | NestedAttributeCondition[], interval?: string, now?: () => Date | number }): number
+export declare function removeRefinements(request: SearchRequest, refinements: RemoveRefinement[],
+    options?: { attributeTypes?: AttributeTypeRegistry, exclude?: boolean, now?: () => Date | number }): number
+export declare function getRefinements(request: SearchRequest, options?: GetRefinementsOptions): Refinements
+export declare function facetsToRefinementOptions(response: { facets?: FacetResult[] }, request: SearchRequest,
+    options?: RequestOptionsOptions): RefinementOptions[]
+export declare function getRefinementFacets(attributes: RefinementFacetAttribute[], options?: RefinementFacetsOptions): Facet[]
+export declare function setPaging(request: SearchRequest, start?: number, rows?: number): void
+export declare function setSort(request: SearchRequest, sort: SortBy | null, options?: RequestOptionsOptions): void
+export declare function addFacet(request: SearchRequest, facet: Facet, options?: RequestOptionsOptions): void
+export declare function removeFacet(request: SearchRequest, name: string): number
+export declare function setGroupBy(request: SearchRequest, groupBy: GroupBy | null, groupByReturnType?: GroupByReturnType): void
+export declare function setReturnType(request: SearchRequest, return_type: ResultType, resultOptions?: ResultOptions): void
+export declare function diffRequests(a: SearchRequest, b: SearchRequest, options?: GetRefinementsOptions): RequestDiff
+export declare function createPatch(diff: RequestDiff): PatchOperation[]
+export declare function applyPatch(request: SearchRequest, patch: PatchOperation[]): void
+/* a request shared by several widgets, with change events and undo/redo - the request is replaced, never modified */
+export declare class SearchRequestState {
+    constructor(request: SearchRequest, options?: SearchRequestStateOptions)
+    static restore(serialized: SerializedSearchRequestState, options?: SearchRequestStateOptions): SearchRequestState
+    readonly request: SearchRequest
+    readonly maxHistory: number
+    addRefinement(node: RefinementNode, schema?: Schema, service?: 'text' | 'text_chem'): SearchRequest
+    addRefinements(refinements: Refinement[], result_type?: ResultType): SearchRequest
+    removeRefinement(nodeOrAttribute: RefinementNode | string, value?: unknown): SearchRequest
+    removeRefinements(refinements: RemoveRefinement[]): SearchRequest
+    clearRefinements(attributes?: string[]): SearchRequest
+    setRequest(request: SearchRequest): SearchRequest
+    undo(): SearchRequest
+    redo(): SearchRequest
+    canUndo(): boolean
+    canRedo(): boolean
+    on(event: 'change', listener: (event: SearchRequestStateEvent) => void): () => void
+    off(event: 'change', listener: (event: SearchRequestStateEvent) => void): void
+    serialize(): SerializedSearchRequestState
+}
+
+export declare function invalidateAttributeData(schema?: Schema, attributes?: string[]): void
+
+export declare function validateRequest(request: unknown, options?: ValidateOptions): ValidationError[]
+export declare function evaluateRequest<D = Record<string, unknown>, I = string>(request: SearchRequest, documents: D[],
+    options?: EvaluateOptions<D, I>): I[]
+export declare function describeRequest(request: SearchRequest, options?: DescribeOptions & { tokens?: false }): string
+export declare function describeRequest(request: SearchRequest, options: DescribeOptions & { tokens: true }): DescriptionToken[]
+export declare function encodeRequest(request: SearchRequest, options?: EncodeOptions): string
+export declare function decodeRequest(encoded: string, options?: DecodeOptions): SearchRequest
+export declare function normalizeRequest<T extends SearchRequest>(request: T): T
+export declare function hashRequest(request: SearchRequest): string
+export declare function parseQuery(text: string, options?: QueryLanguageOptions): SearchRequest
+export declare function printQuery(request: SearchRequest, options?: QueryLanguageOptions): string
+export declare function query(): QueryBuilder
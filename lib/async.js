@@ -0,0 +1,159 @@
+const { attributeTypes } = require('./attribute-types')
+    , { createContext } = require('./context')
+    , { applyPatchOperations } = require('./diff')
+    , { createStateClass } = require('./state')
+    , { addRefinementNode, addRefinementNodes, createTools, getAttributeRefinements, getSchema } = require('./core')
+
+// the SearchRequestState class for these functions - created before the exports, since classes are not hoisted
+const SearchRequestState = createStateClass(createSearchRequestTools)
+
+/*
+ * Module exports.
+ * @private
+ */
+module.exports = {
+      addRefinement
+    , addRefinements
+    , applyPatch
+    , createSearchRequestTools
+    , invalidateAttributeData
+    , SearchRequestState
+}
+
+const defaultContext = createContext({ attributeTypes }) // uses the default attribute type registry and the global 'metadata' object and 'fetch' function
+
+/*
+ * Return an instance of the search request tools bound to its own context. Each instance has its own metadata source,
+ * fetch function and attribute data cache, so separate apps, tests or tenants do not share cached attribute data.
+ *
+ * options:
+ *
+ *  metadataProvider:   an object keyed by schema, e.g. { structure: { uiAttrMap, facetFilters } }, or a function
+ *                      called with the schema that returns (or resolves to) { uiAttrMap, facetFilters }. If not set,
+ *                      attribute data is retrieved from the server.
+ *  fetch:              fetch function used to retrieve attribute data from the server
+ *  cache:              Map-like object (get, set, has, delete, clear) used to cache attribute data
+ *  baseUrl:            base URL of the server, e.g. 'https://www.rcsb.org' - attribute data is POSTed to
+ *                      '<baseUrl>/search/attribute-data', relative to the page by default
+ *  headers:            additional request headers
+ *  timeout:            request timeout in milliseconds - 10000 by default, 0 for no timeout
+ *  retries:            number of retries after a network error, timeout or server error - 2 by default
+ *  retryDelay:         delay before the first retry in milliseconds, doubled for each further retry - 250 by default
+ *  ttl:                time in milliseconds that attribute data is cached for - by default it is cached until
+ *                      invalidateAttributeData is called
+ *  batchDelay:         time in milliseconds to collect attributes for a single request - 0 by default
+ *  fallbackMetadata:   metadata keyed by schema, e.g. bundled with the app, used if the server cannot be reached
+ *  attributeTypes:     attribute type registry returned by createAttributeTypeRegistry, or an object of attribute
+ *                      types to create one from
+ *  strict:             if true, addRefinement and addRefinements validate the request with validateRequest and throw
+ *                      a RequestValidationError if it is invalid
+ *  immutable:          if true, the add and remove functions leave the input request, node and refinements untouched
+ *                      and return a new request. Unchanged subtrees of the new request are shared with the input.
+ *  resetPaging:        if true, adding or removing a refinement returns to the first page of results by setting the
+ *                      paging 'start' to 0
+ *
+ * @param {object} options
+ * @public
+ */
+function createSearchRequestTools(options = {}) {
+    return createTools(options, { addRefinement, addRefinements, applyPatch })
+}
+
+/*
+ * Add a refinement node to an existing Search API request - see addRefinement in index.js. The attribute data used to
+ * label nested attribute group nodes is read from the attribute data cache, or from metadata if it is available
+ * synchronously, so this function does not retrieve data from the server.
+ *
+ * @param {object} request
+ * @param {object} node
+ * @param {string} schema
+ * @param {string} service
+ * @public
+ */
+function addRefinement(request, node, schema = 'structure', service = 'text', context = defaultContext) {
+    const primary = (node.type === 'group') ? node.nodes[0] : node
+        , attrObj = (primary && primary.parameters) ? getAttrObj(context, schema, primary.parameters.attribute) : null
+
+    addRefinementNode(request, node, schema, service, context, attrObj)
+}
+
+/*
+ * Add a refinements node to an existing Search API request - see addRefinements in index.js. Attribute data is read
+ * from metadata if the context has a metadata source, otherwise it is retrieved from the server and cached. Returns a
+ * promise that is rejected with an AttributeDataError if the attribute data cannot be retrieved, in which case the
+ * request is not modified.
+ *
+ * @param {object} request
+ * @param {object} refinements
+ * @param {string} result_type
+ * @public
+ */
+async function addRefinements(request, refinements, result_type = 'entry', context = defaultContext) {
+    const schema = getSchema(result_type)
+        , attributes = getAttributeRefinements(refinements).map(refinement => refinement.attribute)
+        , attributeData = (attributes.length === 0) ? {}
+            : hasMetadata(context) ? await getMetadataAttributeData(context, schema, attributes)
+            : await context.loader.load(schema, attributes)
+
+    addRefinementNodes(request, refinements, result_type, context, attribute => attributeData[attribute])
+}
+
+/*
+ * Apply a patch returned by createPatch to an existing Search API request - see applyPatch in index.js. Returns a
+ * promise, since refinements are added with the async addRefinements.
+ *
+ * @param {object} request
+ * @param {object[]} patch
+ * @public
+ */
+async function applyPatch(request, patch, context = defaultContext) {
+    await applyPatchOperations(request, patch, context, (r, refinements, result_type) => addRefinements(r, refinements, result_type, context))
+}
+
+/*
+ * Remove cached attribute data, so that it is retrieved from the server again - for 'attributes' of 'schema', for all
+ * attributes of 'schema', or, if no schema is passed, for all schemas.
+ *
+ * @param {string} schema
+ * @param {string[]} attributes
+ * @public
+ */
+function invalidateAttributeData(schema, attributes) {
+    defaultContext.loader.invalidate(schema, attributes)
+}
+
+// private functions
+
+/*
+    Return true if attribute data should be read from metadata rather than the server. For the default context
+    this is the case only if the global 'metadata_' flag is set.
+*/
+function hasMetadata(context) {
+    return (context === defaultContext) ? typeof metadata_ !== 'undefined' : context.metadataProvider !== null
+}
+
+async function getMetadataAttributeData(context, schema, attributes) {
+    const { uiAttrMap, facetFilters } = await context.getMetadata(schema)
+        , attributeData = {}
+
+    attributes.forEach(attribute => {
+        attributeData[attribute] = { attrObj: uiAttrMap[attribute], facetFilter: facetFilters[attribute] }
+    })
+
+    return attributeData
+}
+
+/*
+    Return the uiAttrMap object for an attribute from the attribute data cache, or from metadata if the context has a
+    synchronous metadata source. The default context reads the global 'metadata' object.
+*/
+function getAttrObj(context, schema, attribute) {
+    const attributeData = context.loader.get(schema, attribute)
+
+    if (attributeData) return attributeData.attrObj
+    if (context !== defaultContext && !hasMetadata(context)) return null
+
+    const metadata = context.findMetadata(schema) // a provider returning a promise has no uiAttrMap here
+
+    return metadata ? metadata.uiAttrMap[attribute] || null : null
+}
@@ -0,0 +1,132 @@
+/*
+ * Module exports.
+ * @public
+ */
+module.exports = {
+      attributeTypes: createAttributeTypeRegistry() // default registry
+    , createAttributeTypeRegistry
+}
+
+const { TYPE_NUMBER: NUMBER, TYPE_INTEGER: INTEGER, TYPE_DATE: DATE, TYPE_KEYWORD: KEYWORD, TYPE_TEXT: TEXT,
+        BUCKET_INTERVAL, BUCKET_YEAR } = require('./constants')
+    , { parseDateInterval } = require('./dates')
+    , TYPE_DEFAULTS = {
+          [NUMBER]: { bucket: BUCKET_INTERVAL }
+        , [INTEGER]: { bucket: BUCKET_INTERVAL }
+        , [DATE]: { bucket: BUCKET_YEAR, span: 5 }
+        , [KEYWORD]: { bucket: null }
+        , [TEXT]: { bucket: null }
+    }
+    // map of uiAttrMap 'type' values to attribute types
+    , METADATA_TYPES = {
+          number: NUMBER
+        , float: NUMBER
+        , double: NUMBER
+        , integer: INTEGER
+        , int: INTEGER
+        , date: DATE
+        , 'date-time': DATE
+        , string: KEYWORD
+        , keyword: KEYWORD
+        , text: TEXT
+    }
+    // attributes typed before attribute metadata was available - used when no metadata type is found
+    , BUILT_IN_TYPES = {
+          'rcsb_entry_info.resolution_combined': NUMBER
+        , 'chem_comp.formula_weight': NUMBER
+        , 'rcsb_chem_comp_info.atom_count_heavy': INTEGER
+        , 'rcsb_ma_qa_metric_global.ma_qa_metric_global.value': NUMBER
+        , 'rcsb_accession_info.initial_release_date': DATE
+        , 'rcsb_chem_comp_info.initial_release_date': DATE
+    }
+
+/*
+ * Return a registry of attribute types. The registry determines how refinement values for an attribute are converted
+ * to Search API parameters:
+ *
+ *  number, integer:    numeric interval values ("*-0.5", "0.5-1.0", "4.0-*") - 'less', 'range' or 'greater_or_equal'
+ *  date:               start of a date range of 'span' years ("2010") - 'range'. The 'bucket' may also be 'month'
+ *                      ("2010-03") or 'day' ("2010-03-15"), for 'span' months or days. Open-ended ("*-2000",
+ *                      "2000-*"), ISO ("2010-01-01/2012-06-30") and relative ("now-30d") values are also accepted.
+ *  keyword:            'exact_match'
+ *  text:               'contains_phrase'
+ *
+ * An attribute type is resolved in this order:
+ *
+ *  1. types registered by the caller, either passed to this function or with register()
+ *  2. the 'type' of the attribute's uiAttrMap entry, when passed to get() or registerMetadata(), with the 'interval'
+ *     of a date attribute
+ *  3. built-in types for attributes known before attribute metadata was available
+ *  4. keyword
+ *
+ * Types are passed as a type name or as an object with 'type', 'bucket' and 'span' properties, and optionally the
+ * histogram 'interval' of a number or integer attribute used by getRefinementFacets. The bucket and span of a date
+ * attribute may be set with a date 'interval' instead: 'day', 'week', 'month', 'quarter' or 'year', or a count and a
+ * unit ('d', 'w', 'M', 'q' or 'y'), e.g. "1M" or "5y":
+
+    createAttributeTypeRegistry({
+        "rcsb_entry_info.deposited_atom_count": "integer",
+        "rcsb_entry_info.diffrn_resolution_high.value": { type: "number", bucket: "interval" },
+        "pdbx_database_status.recvd_initial_deposition_date": { type: "date", bucket: "year", span: 1 },
+        "rcsb_accession_info.revision_date": { type: "date", interval: "1M" }
+    })
+
+ * @param {object} types
+ * @public
+ */
+function createAttributeTypeRegistry(types = {}) {
+    const registered = {}
+        , fromMetadata = {}
+
+    const registry = {
+        // register the type of an attribute, overriding types from metadata
+          register: (attribute, type) => {
+            registered[attribute] = getEntry(type)
+            return registry
+        }
+        // register the types of all attributes in a uiAttrMap object
+        , registerMetadata: (uiAttrMap) => {
+            Object.keys(uiAttrMap || {}).forEach(attribute => setMetadataEntry(fromMetadata, attribute, uiAttrMap[attribute]))
+            return registry
+        }
+        // return the type entry { type, bucket, span } for an attribute - 'attrObj' is the optional uiAttrMap entry
+        , get: (attribute, attrObj) => {
+            if (registered[attribute]) return registered[attribute]
+            if (attrObj) setMetadataEntry(fromMetadata, attribute, attrObj)
+            if (fromMetadata[attribute]) return fromMetadata[attribute]
+            if (BUILT_IN_TYPES[attribute]) return getEntry(BUILT_IN_TYPES[attribute])
+            return getEntry(KEYWORD)
+        }
+    }
+
+    Object.keys(types).forEach(attribute => registry.register(attribute, types[attribute]))
+
+    return registry
+}
+
+// private functions
+
+// return a type entry with default bucket settings for the type - the 'interval' of a date type sets its bucket and span
+function getEntry(type) {
+    const entry = (typeof type === 'string') ? { type } : Object.assign({}, type)
+
+    if (!TYPE_DEFAULTS[entry.type]) throw new Error('Unknown attribute type: ' + entry.type)
+
+    if (entry.type === DATE && entry.interval) {
+        const dateInterval = parseDateInterval(entry.interval)
+
+        if (!dateInterval) throw new Error('Invalid date interval: ' + entry.interval)
+
+        Object.assign(entry, dateInterval)
+    }
+
+    return Object.assign({ type: entry.type }, TYPE_DEFAULTS[entry.type], entry)
+}
+
+// the 'interval' of a date attribute in the metadata is ignored if it is not valid
+function setMetadataEntry(entries, attribute, attrObj) {
+    const type = attrObj && METADATA_TYPES[attrObj.type]
+        , interval = (type === DATE && attrObj.interval && parseDateInterval(attrObj.interval)) ? attrObj.interval : null
+
+    if (type) entries[attribute] = getEntry(interval ? { type, interval } : type)
+}
@@ -0,0 +1,202 @@
+const { GROUP, TERMINAL, AND, OR, EXACT_MATCH, EQUALS, IN, RANGE, LESS, LESS_OR_EQUAL, GREATER, GREATER_OR_EQUAL,
+        EXISTS, CONTAINS_PHRASE, CONTAINS_WORDS, RETURN_TYPES } = require('./constants')
+    , { getEmptyGroupNode, getGroupNode, getTerminalNode } = require('./nodes')
+    , { deepClone } = require('./utils')
+
+/*
+ * Module exports.
+ * @public
+ */
+module.exports = {
+    query
+}
+
+/*
+ * Return a query builder for composing a Search API request from scratch. Clauses are combined from left to right,
+ * with 'and' by default:
+
+    const request = query()
+        .text('exptl.method').equals('X-RAY DIFFRACTION')
+        .and(query().text('rcsb_entry_info.resolution_combined').less(2.0))
+        .or(query().text('rcsb_entry_info.structure_determination_methodology').equals('integrative'))
+        .returnType('polymer_entity')
+        .build()
+
+ * and() and or() either combine the query so far with one or more clauses or builders, or, if called with no
+ * arguments, set the logical operator used to combine the next clause: 'a.and().b.or().c' is '(a AND b) OR c'.
+ *
+ * build() returns a request in the format expected by addRefinement/addRefinements: the query is a group node
+ * containing a group node labelled with the service name for each service, so refinements are added to the
+ * existing service group node.
+ *
+ * Clause methods:
+ *
+ *  text(attribute), textChem(attribute):   return an attribute clause, with the operator methods equals, exactMatch,
+ *                                          in, range, less, lessOrEqual, greater, greaterOrEqual, exists,
+ *                                          containsWords and containsPhrase
+ *  fullText(value)
+ *  sequence(value, parameters):            e.g. { evalue_cutoff: 0.1, identity_cutoff: 0.9, sequence_type: 'protein' }
+ *  seqmotif(value, parameters):            e.g. { pattern_type: 'prosite', sequence_type: 'protein' }
+ *  structure(value, parameters):           e.g. { entry_id: '4HHB', assembly_id: '1' }, { operator: 'strict_shape_match' }
+ *  chemical(value, parameters):            e.g. { type: 'descriptor', descriptor_type: 'SMILES', match_type: 'graph-strict' }
+ *  node(node):                             an existing 'terminal' or 'group' node
+ *  not():                                  negate the next text or textChem clause
+ *
+ * @public
+ */
+function query() {
+    const state = {
+          root: null
+        , operator: AND
+        , negate: false
+        , combined: new WeakSet() // group nodes created by the builder to combine clauses
+        , returnType: 'entry'
+        , requestOptions: null
+    }
+
+    const builder = {
+          text: (attribute) => getAttributeClause(builder, state, 'text', attribute)
+        , textChem: (attribute) => getAttributeClause(builder, state, 'text_chem', attribute)
+        , fullText: (value) => addClause(builder, state, getTerminalNode('full_text', { value }))
+        , sequence: (value, parameters) => addServiceClause(builder, state, 'sequence', value, parameters)
+        , seqmotif: (value, parameters) => addServiceClause(builder, state, 'seqmotif', value, parameters)
+        , structure: (value, parameters) => addServiceClause(builder, state, 'structure', value, parameters)
+        , chemical: (value, parameters) => addServiceClause(builder, state, 'chemical', value, parameters)
+        , node: (node) => addClause(builder, state, deepClone(node))
+        , and: (...items) => combineItems(builder, state, AND, items)
+        , or: (...items) => combineItems(builder, state, OR, items)
+        , not: () => {
+            state.negate = true
+            return builder
+        }
+        , returnType: (returnType) => {
+            if (RETURN_TYPES.indexOf(returnType) === -1) throw new Error('Invalid return_type: ' + returnType)
+            state.returnType = returnType
+            return builder
+        }
+        , requestOptions: (requestOptions) => {
+            state.requestOptions = deepClone(requestOptions)
+            return builder
+        }
+        // return a copy of the query node built so far, without service group nodes
+        , toNode: () => {
+            if (!state.root) throw new Error('The query is empty')
+            return deepClone(state.root)
+        }
+        , build: () => buildRequest(builder, state)
+    }
+
+    return builder
+}
+
+// private functions
+
+// return an attribute clause - each operator method adds a terminal node and returns the query builder
+function getAttributeClause(builder, state, service, attribute) {
+    const add = (operator, value) => {
+        const parameters = (typeof value === 'undefined') ? { attribute, operator } : { attribute, operator, value }
+        return addClause(builder, state, getTerminalNode(service, parameters))
+    }
+
+    return {
+          equals: (value) => add((typeof value === 'number') ? EQUALS : EXACT_MATCH, value)
+        , exactMatch: (value) => add(EXACT_MATCH, value)
+        , in: (values) => add(IN, values.slice())
+        , range: (from, to, bounds = {}) => {
+            const { include_lower = true, include_upper = false } = bounds
+            return add(RANGE, { from, to, include_lower, include_upper })
+        }
+        , less: (value) => add(LESS, value)
+        , lessOrEqual: (value) => add(LESS_OR_EQUAL, value)
+        , greater: (value) => add(GREATER, value)
+        , greaterOrEqual: (value) => add(GREATER_OR_EQUAL, value)
+        , exists: () => add(EXISTS)
+        , containsWords: (value) => add(CONTAINS_WORDS, value)
+        , containsPhrase: (value) => add(CONTAINS_PHRASE, value)
+    }
+}
+
+function addServiceClause(builder, state, service, value, parameters = {}) {
+    return addClause(builder, state, getTerminalNode(service, Object.assign({ value: deepClone(value) }, deepClone(parameters))))
+}
+
+// add a node to the query using the current logical operator
+function addClause(builder, state, node) {
+    if (state.negate) {
+        if (node.type !== TERMINAL || (node.service !== 'text' && node.service !== 'text_chem'))
+            throw new Error('not() can only be applied to a text or textChem clause')
+        node.parameters.negation = true
+        state.negate = false
+    }
+
+    combine(state, state.operator, node)
+    state.operator = AND
+
+    return builder
+}
+
+function combineItems(builder, state, operator, items) {
+    if (items.length === 0) {
+        state.operator = operator
+        return builder
+    }
+
+    items.forEach(item => {
+        const node = (item && typeof item.toNode === 'function') ? item.toNode() : deepClone(item)
+        combine(state, operator, node)
+    })
+
+    return builder
+}
+
+/*
+    Combine the query so far with 'node'. If the query is already a group node created by the builder with the same
+    logical operator, the node is appended to it, otherwise a new group node is created.
+*/
+function combine(state, operator, node) {
+    const { root, combined } = state
+
+    if (!root) {
+        state.root = node
+    } else if (root.type === GROUP && root.logical_operator === operator && combined.has(root)) {
+        root.nodes.push(node)
+    } else {
+        const groupNode = getEmptyGroupNode(null, operator)
+        groupNode.nodes.push(root, node)
+        combined.add(groupNode)
+        state.root = groupNode
+    }
+}
+
+/*
+    Return the request. Clauses combined with 'and' are placed in a group node labelled with their service name, as
+    found by getGroupNode(query, service, AND) in addRefinement/addRefinements. Clauses spanning more than one
+    service are added to the query group node directly.
+*/
+function buildRequest(builder, state) {
+    const node = builder.toNode()
+        , clauses = (node.type === GROUP && node.logical_operator === AND && state.combined.has(state.root)) ? node.nodes : [node]
+        , query = getEmptyGroupNode(null, AND)
+
+    clauses.forEach(clause => {
+        const service = getService(clause)
+
+        if (service) getGroupNode(query, service, AND).nodes.push(clause)
+        else query.nodes.push(clause)
+    })
+
+    const request = { query, return_type: state.returnType }
+
+    if (state.requestOptions) request.request_options = deepClone(state.requestOptions)
+
+    return request
+}
+
+// return the service of a node, or null if the node contains terminal nodes for more than one service
+function getService(node) {
+    if (node.type === TERMINAL) return node.service
+
+    const services = node.nodes.map(getService)
+
+    return services.every(s => s && s === services[0]) ? services[0] : null
+}
@@ -0,0 +1,252 @@
+const fs = require('fs')
+    , { RequestValidationError } = require('./errors')
+    , { getSchema } = require('./core')
+    , { createSearchRequestTools } = require('./sync')
+
+/*
+ * Module exports.
+ * @private
+ */
+module.exports = {
+    run
+}
+
+const NAME = 'search-request-tools'
+    , USAGE = [
+          'Usage: ' + NAME + ' [request.json] [operations] [options]'
+        , ''
+        , 'Read a Search API request from a file, or from stdin if no file (or \'-\') is given, apply the'
+        , 'operations in the order given and write the request to stdout as JSON.'
+        , ''
+        , 'Operations:'
+        , '  --add-refinement <node>             add a refinement node - see addRefinement'
+        , '  --add-refinements <refinements>     add a list of refinements - see addRefinements'
+        , '  --remove-refinement <node|attribute>'
+        , '                                      remove a refinement node, or all refinements for an attribute'
+        , '  --remove-refinements <refinements>  remove a list of refinements - see removeRefinements'
+        , '  --apply-patch <patch>               apply a patch returned by createPatch'
+        , '  --return-type <type>                set the request return_type'
+        , '  --paging <start>[,<rows>]           set the page of results'
+        , '  --sort <sort>                       set the sort - an attribute or a JSON sort option'
+        , '  --add-facet <facet>                 add a facet'
+        , '  --remove-facet <name>               remove a facet'
+        , '  --normalize                         normalize the request after the operations - see normalizeRequest'
+        , ''
+        , '<node>, <refinements>, <patch>, <facet> and <sort> are JSON files, or inline JSON.'
+        , ''
+        , 'Output:'
+        , '  --print                             write the query in the compact search syntax - see printQuery'
+        , '  --describe                          write a description of the request - see describeRequest'
+        , '  --encode                            write the request as a URL-safe string - see encodeRequest'
+        , '  --compact                           write JSON on a single line'
+        , ''
+        , 'Options:'
+        , '  --query <text>                      parse a query in the compact search syntax instead of reading a request'
+        , '  --metadata <file>                   metadata JSON file - { structure: { uiAttrMap, facetFilters }, ... },'
+        , '                                      or { uiAttrMap, facetFilters } for the --schema schema'
+        , '  --result-type <type>                the result type of the refinements - the request return_type by default'
+        , '  --schema <schema>                   \'structure\' or \'chemical\' - the schema of the result type by default'
+        , '  --strict                            validate the request before adding refinements'
+        , '  --validate                          validate the request after the operations - exits with 1 if invalid'
+        , '  -h, --help                          show this help'
+        , ''
+    ].join('\n')
+    // operations that take a value, and the flags and options
+    , OPERATIONS = ['add-refinement', 'add-refinements', 'remove-refinement', 'remove-refinements', 'apply-patch',
+                    'return-type', 'paging', 'sort', 'add-facet', 'remove-facet']
+    , FLAGS = ['normalize', 'print', 'describe', 'encode', 'compact', 'strict', 'validate', 'help']
+    , OPTIONS = ['query', 'metadata', 'result-type', 'schema']
+
+/*
+ * Run the command-line tool with the command-line arguments (without 'node' and the script) and return a promise of
+ * the exit code: 0 on success, 1 if an operation fails or the request is invalid, and 2 for invalid arguments. Errors
+ * are written to stderr.
+ *
+ * Metadata is only read from the --metadata file, so the tool works offline - attribute data is never fetched.
+ *
+ * @param {string[]} args
+ * @param {object} io: { stdin, stdout, stderr } - the process streams by default
+ * @private
+ */
+async function run(args, io = process) {
+    let options
+
+    try {
+        options = parseArguments(args)
+    } catch (err) {
+        io.stderr.write(NAME + ': ' + err.message + '\nTry \'' + NAME + ' --help\' for more information.\n')
+        return 2
+    }
+
+    if (options.flags.help) {
+        io.stdout.write(USAGE)
+        return 0
+    }
+
+    try {
+        const tools = createSearchRequestTools({ metadataProvider: readMetadata(options), strict: !!options.flags.strict })
+
+        let request = (typeof options.query !== 'undefined')
+            ? tools.parseQuery(options.query, { schema: options.schema, return_type: options['result-type'] })
+            : readJson(await readInput(options.input, io.stdin), options.input || 'stdin')
+
+        options.operations.forEach(operation => applyOperation(tools, request, operation, options))
+
+        if (options.flags.normalize) request = tools.normalizeRequest(request)
+
+        if (options.flags.validate) {
+            const errors = tools.validateRequest(request, { schema: getRequestSchema(request, options) })
+            if (errors.length > 0) throw new RequestValidationError(errors)
+        }
+
+        io.stdout.write(formatOutput(tools, request, options) + '\n')
+
+        return 0
+    } catch (err) {
+        // validation errors are written one per line
+        const message = (err instanceof RequestValidationError)
+            ? 'invalid Search API request\n' + err.errors.map(e => '  ' + e.path + ': ' + e.message).join('\n')
+            : err.message
+
+        io.stderr.write(NAME + ': ' + message + '\n')
+        return 1
+    }
+}
+
+// private functions
+
+// return { input, operations, flags, ...options } - operations are kept in the order given
+function parseArguments(args) {
+    const result = { input: null, operations: [], flags: {} }
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i]
+            , name = (arg === '-h') ? 'help' : arg.replace(/^--/, '')
+
+        if (arg === '-' || !arg.startsWith('-')) {
+            if (result.input !== null) throw new Error("unexpected argument '" + arg + "'")
+            result.input = arg
+        } else if (FLAGS.indexOf(name) !== -1) {
+            result.flags[name] = true
+        } else if (OPERATIONS.indexOf(name) !== -1 || OPTIONS.indexOf(name) !== -1) {
+            if (i + 1 >= args.length) throw new Error("option '" + arg + "' requires a value")
+
+            const value = args[++i]
+
+            if (OPERATIONS.indexOf(name) !== -1) result.operations.push({ name, value })
+            else result[name] = value
+        } else {
+            throw new Error("unknown option '" + arg + "'")
+        }
+    }
+
+    if (result.input !== null && typeof result.query !== 'undefined') throw new Error("a request file cannot be used with '--query'")
+    if (result.schema && ['structure', 'chemical'].indexOf(result.schema) === -1) throw new Error("invalid schema '" + result.schema + "'")
+
+    return result
+}
+
+// return the contents of the input file, or of stdin
+function readInput(input, stdin) {
+    if (input !== null && input !== '-') return Promise.resolve(fs.readFileSync(input, 'utf8'))
+
+    return new Promise((resolve, reject) => {
+        const chunks = []
+
+        stdin.setEncoding('utf8')
+        stdin.on('data', chunk => chunks.push(chunk))
+        stdin.on('end', () => resolve(chunks.join('')))
+        stdin.on('error', reject)
+    })
+}
+
+function readJson(text, source) {
+    try {
+        return JSON.parse(text)
+    } catch (err) {
+        throw new Error('invalid JSON in ' + source + ': ' + err.message)
+    }
+}
+
+// return the value of an operation - inline JSON, or the contents of a JSON file
+function readValue(value) {
+    const trimmed = value.trim()
+
+    if (trimmed.startsWith('{') || trimmed.startsWith('[')) return readJson(trimmed, 'argument')
+
+    return readJson(fs.readFileSync(value, 'utf8'), value)
+}
+
+// return the metadata provider for the --metadata file, which may hold the metadata of one schema or of each schema
+function readMetadata(options) {
+    const data = options.metadata ? readJson(fs.readFileSync(options.metadata, 'utf8'), options.metadata) : {}
+        , metadata = data.uiAttrMap ? { [options.schema || 'structure']: data } : data
+
+    return (schema) => {
+        if (metadata[schema]) return metadata[schema]
+        throw new Error("no metadata for schema '" + schema + "' - pass a metadata file with --metadata")
+    }
+}
+
+// return the result type for the refinements - from --result-type, the request or --schema
+function getResultType(request, options) {
+    return options['result-type'] || request.return_type || ((options.schema === 'chemical') ? 'mol_definition' : 'entry')
+}
+
+function getRequestSchema(request, options) {
+    return options.schema || getSchema(getResultType(request, options))
+}
+
+function applyOperation(tools, request, { name, value }, options) {
+    switch (name) {
+        case 'add-refinement': {
+            const schema = getRequestSchema(request, options)
+            tools.addRefinement(request, readValue(value), schema, (schema === 'chemical') ? 'text_chem' : 'text')
+            break
+        }
+        case 'add-refinements':
+            tools.addRefinements(request, readValue(value), getResultType(request, options))
+            break
+        case 'remove-refinement':
+            tools.removeRefinement(request, isJson(value) ? readValue(value) : value)
+            break
+        case 'remove-refinements':
+            tools.removeRefinements(request, readValue(value))
+            break
+        case 'apply-patch':
+            tools.applyPatch(request, readValue(value))
+            break
+        case 'return-type':
+            tools.setReturnType(request, value)
+            break
+        case 'paging': {
+            const [start, rows] = value.split(',').map(Number)
+            tools.setPaging(request, start, (typeof rows === 'undefined') ? undefined : rows)
+            break
+        }
+        case 'sort':
+            tools.setSort(request, isJson(value) ? readValue(value) : value)
+            break
+        case 'add-facet':
+            tools.addFacet(request, readValue(value))
+            break
+        case 'remove-facet':
+            tools.removeFacet(request, value)
+            break
+    }
+}
+
+// return true if an operation value is inline JSON or a JSON file, rather than a name
+function isJson(value) {
+    return /^\s*[{[]/.test(value) || /\.json$/i.test(value)
+}
+
+function formatOutput(tools, request, options) {
+    const schema = getRequestSchema(request, options)
+
+    if (options.flags.print) return tools.printQuery(request, { schema })
+    if (options.flags.describe) return tools.describeRequest(request, { schema })
+    if (options.flags.encode) return tools.encodeRequest(request)
+
+    return JSON.stringify(request, null, options.flags.compact ? 0 : 2)
+}
@@ -0,0 +1,38 @@
+/*
+ * Constants shared by the search request modules.
+ * @private
+ */
+module.exports = {
+      LOG_PREFIX: 'RO-3185 search-request'
+    , GROUP: 'group'
+    , TERMINAL: 'terminal'
+    , AND: 'and'
+    , OR: 'or'
+    , EXACT_MATCH: 'exact_match'
+    , EQUALS: 'equals'
+    , CONTAINS_PHRASE: 'contains_phrase'
+    , CONTAINS_WORDS: 'contains_words'
+    , EXISTS: 'exists'
+    , LESS: 'less'
+    , LESS_OR_EQUAL: 'less_or_equal'
+    , GREATER: 'greater'
+    , GREATER_OR_EQUAL: 'greater_or_equal'
+    , RANGE: 'range'
+    , IN: 'in'
+    , TYPE_NUMBER: 'number'
+    , TYPE_INTEGER: 'integer'
+    , TYPE_DATE: 'date'
+    , TYPE_KEYWORD: 'keyword'
+    , TYPE_TEXT: 'text'
+    , BUCKET_INTERVAL: 'interval' // refinement values are numeric intervals, e.g. "*-0.5", "0.5-1.0", "4.0-*"
+    , BUCKET_YEAR: 'year'         // refinement values are the start of a date range of 'span' years, e.g. "2010"
+    , BUCKET_MONTH: 'month'       // refinement values are the start of a date range of 'span' months, e.g. "2010-03"
+    , BUCKET_DAY: 'day'           // refinement values are the start of a date range of 'span' days, e.g. "2010-03-15"
+    , MATCH_ANY: 'any'            // the selected values of an attribute are combined with 'or'
+    , MATCH_ALL: 'all'            // the selected values of an attribute are combined with 'and'
+    , RETURN_TYPES: ['entry', 'polymer_entity', 'non_polymer_entity', 'polymer_instance', 'assembly', 'mol_definition']
+    , LABEL_GROUPS_REFINEMENTS: 'groups-refinements'
+    , LABEL_GROUPS_EXCLUSIONS: 'groups-exclusions'
+    , LABEL_NESTED_ATTRIBUTE: 'nested-attribute'
+    , LABEL_SERVICE_REFINEMENTS: 'service-refinements'
+}
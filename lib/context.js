@@ -0,0 +1,108 @@
+const { createAttributeTypeRegistry } = require('./attribute-types')
+    , { createAttributeDataLoader } = require('./loader')
+
+/*
+ * Module exports.
+ * @private
+ */
+module.exports = {
+    createContext
+}
+
+/*
+ * Return a context object holding the metadata source, fetch function and attribute cache used by an instance of the
+ * search request tools. Each context has its own cache, so separate apps, tests or tenants do not share attribute data.
+ *
+ * options:
+ *
+ *  metadataProvider:   an object keyed by schema, e.g. { structure: { uiAttrMap, facetFilters }, chemical: { ... } },
+ *                      or a function called with the schema that returns (or resolves to) { uiAttrMap, facetFilters }.
+ *                      If not set, the global 'metadata' object is used.
+ *  fetch:              fetch function used to retrieve attribute data from the server. If not set, the global
+ *                      'fetch' function is used.
+ *  cache:              Map-like object (get, set, has, delete, clear) used to cache attribute data. If not set, a new
+ *                      Map is created.
+ *  attributeTypes:     attribute type registry returned by createAttributeTypeRegistry, or an object of attribute
+ *                      types to create one from. If not set, a new registry is created.
+ *  strict:             if true, the add functions validate the request (and node) with validateRequest and throw a
+ *                      RequestValidationError if it is invalid
+ *  immutable:          if true, the functions that modify a request leave it untouched and return a new request
+ *  resetPaging:        if true, adding or removing a refinement sets the paging 'start' back to 0
+ *  now:                function returning the current time (a Date or milliseconds), used to resolve relative date
+ *                      refinement values such as "now-30d". Date.now by default.
+ *  baseUrl, headers, timeout, retries, retryDelay, ttl, batchDelay, fallbackMetadata:
+ *                      options for retrieving attribute data from the server - see createAttributeDataLoader
+ *
+ * @param {object} options
+ * @private
+ */
+function createContext(options = {}) {
+    const { metadataProvider = null, cache = new Map() } = options
+        , fetchFn = options.fetch || null
+        , attributeTypes = isRegistry(options.attributeTypes)
+            ? options.attributeTypes : createAttributeTypeRegistry(options.attributeTypes)
+
+    const context = {
+          metadataProvider
+        , cache
+        , attributeTypes
+        , strict: !!options.strict
+        , immutable: !!options.immutable
+        , resetPaging: !!options.resetPaging
+        , now: (typeof options.now === 'function') ? options.now : Date.now
+        , getMetadata: (schema) => getMetadata(metadataProvider, schema)
+        , findMetadata: (schema) => findMetadata(metadataProvider, schema)
+        , fetch: (url, fetchOptions) => {
+            if (fetchFn) return fetchFn(url, fetchOptions)
+            if (typeof fetch === 'undefined') throw new Error('fetch is not available - pass a fetch function to createSearchRequestTools')
+            return fetch(url, fetchOptions)
+        }
+    }
+
+    context.loader = createAttributeDataLoader({
+          fetch: context.fetch
+        , cache
+        , baseUrl: options.baseUrl
+        , headers: options.headers
+        , timeout: options.timeout
+        , retries: options.retries
+        , retryDelay: options.retryDelay
+        , ttl: options.ttl
+        , batchDelay: options.batchDelay
+        , fallbackMetadata: options.fallbackMetadata
+    })
+
+    return context
+}
+
+// private functions
+
+function isRegistry(o) {
+    return !!o && typeof o.get === 'function' && typeof o.register === 'function'
+}
+
+// return the metadata for a schema from the provider, or from the global 'metadata' object if no provider is set
+function getMetadata(metadataProvider, schema) {
+    let data
+
+    if (typeof metadataProvider === 'function') return metadataProvider(schema)
+    else if (metadataProvider) data = metadataProvider[schema]
+    else if (typeof metadata !== 'undefined') data = metadata[schema]
+
+    if (!data) throw new Error('No metadata found for schema: ' + schema)
+
+    return data
+}
+
+// return the metadata for a schema, or null if no metadata is available synchronously
+function findMetadata(metadataProvider, schema) {
+    let data = null
+
+    try {
+        data = getMetadata(metadataProvider, schema)
+    } catch (err) {
+        // no metadata for the schema
+    }
+
+    return (data && data.uiAttrMap) ? data : null
+}
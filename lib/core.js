@@ -0,0 +1,426 @@
+const { GROUP, TERMINAL, AND, OR, EXACT_MATCH, IN, LABEL_GROUPS_EXCLUSIONS, LABEL_GROUPS_REFINEMENTS, LABEL_NESTED_ATTRIBUTE,
+        MATCH_ALL, MATCH_ANY } = require('./constants')
+    , { createContext } = require('./context')
+    , { decodeRequest, encodeRequest } = require('./encode')
+    , { describeRequest } = require('./describe')
+    , { createPatch, diffRequests } = require('./diff')
+    , { evaluateRequest } = require('./evaluate')
+    , { facetsToRefinementOptions, getRefinementFacets } = require('./facets')
+    , { getRefinements } = require('./get-refinements')
+    , { produce } = require('./immutable')
+    , { withDateInterval } = require('./dates')
+    , { getEmptyGroupNode, getGroupNode, getNestedAttributes, getQueryNode, getTerminalNode, isAttributeNode,
+        isNestedAttributeNodes, isSameCondition } = require('./nodes')
+    , { hashRequest, normalizeRequest } = require('./normalize')
+    , { setParameters } = require('./parameters')
+    , { parseQuery, printQuery } = require('./query-language')
+    , { removeRefinement, removeRefinements } = require('./remove-refinements')
+    , { addFacet, removeFacet, resetPaging, setGroupBy, setPaging, setReturnType, setSort } = require('./request-options')
+    , { addServiceNode, addServiceRefinement, isServiceRefinement } = require('./service-refinements')
+    , { assertValidRequest, validateRequest } = require('./validate')
+    , { query } = require('./builder')
+    , { deepClone, isEqual } = require('./utils')
+
+/*
+ * Module exports.
+ * @private
+ */
+module.exports = {
+      addRefinementNode
+    , addRefinementNodes
+    , createTools
+    , getAttributeRefinements
+    , getSchema
+}
+
+/*
+ * The request transformations shared by the synchronous (index.js) and async (index-async.js) front-ends. The
+ * front-ends differ only in how attribute data ({ attrObj, facetFilter }) is found: from metadata that is already
+ * loaded, or from metadata or the server on demand.
+ */
+
+/*
+ * Add a refinement node to an existing Search API request - see addRefinement in lib/sync.js. 'attrObj' is the
+ * uiAttrMap object for the attribute of the node, used to label nested attribute group nodes and for its 'match', or
+ * null.
+ *
+ * @param {object} request
+ * @param {object} node
+ * @param {string} schema
+ * @param {string} service
+ * @param {object} context
+ * @param {object} attrObj
+ * @private
+ */
+function addRefinementNode(request, node, schema, service, context, attrObj) {
+    if (context.strict) {
+        assertValidRequest(request, { schema, metadataProvider: context.metadataProvider })
+        assertValidRequest({ query: node }, { schema, metadataProvider: context.metadataProvider })
+    }
+
+    if (isServiceRefinement(node)) {
+        addServiceNode(request, node)
+        return
+    }
+
+    const parameters = getPrimaryNode(node).parameters
+        , exclude = !!parameters.negation
+
+    removeOppositeNode(request, node, context)
+
+    const serviceNode = getGroupNode(getQueryNode(request), service, AND)
+        , operator = exclude ? AND : setMatchOperator(serviceNode, parameters.attribute, getMatch(attrObj && attrObj.match, true))
+        , existingNodes = exclude
+            ? [getExclusionNode(serviceNode, parameters.attribute)]
+            : getIncludedAttributeNodes(serviceNode, parameters.attribute)
+
+    // only add if not found in any attribute group node of the service, e.g. merged into an 'in' node by
+    // normalizeRequest - avoids multiple identical nodes. Nested attribute group nodes are compared on all of their
+    // nodes, so the same value with different nested attribute values is added.
+    if (existingNodes.some(attributeNode => attributeNode.nodes.some(n => isSameCondition(n, node)))) return
+
+    const attributeNode = exclude
+        ? existingNodes[0]
+        : getGroupNode(getGroupNode(serviceNode, LABEL_GROUPS_REFINEMENTS, AND), parameters.attribute, operator)
+
+    if (node.type !== TERMINAL && isNestedAttributeNodes(attrObj, node.nodes.slice(1))) node.label = LABEL_NESTED_ATTRIBUTE
+
+    attributeNode.nodes.push(node)
+}
+
+/*
+ * Add a refinements node to an existing Search API request - see addRefinements in lib/sync.js. Refinements for other
+ * services are added to their own service group node. 'getAttributeData' is called with each attribute and returns
+ * its { attrObj, facetFilter }.
+ *
+ * Excluded values are added to the exclusion group node of the service rather than the new refinements node, so they
+ * are not repeated if the same exclusion is added again.
+ *
+ * @param {object} request
+ * @param {object[]} refinements
+ * @param {string} result_type
+ * @param {object} context
+ * @param {function} getAttributeData
+ * @private
+ */
+function addRefinementNodes(request, refinements, result_type, context, getAttributeData) {
+    const schema = getSchema(result_type)
+        , service = (result_type === 'mol_definition') ? 'text_chem' : 'text'
+
+    if (context.strict) assertValidRequest(request, { schema, metadataProvider: context.metadataProvider })
+
+    // attribute types are resolved and values converted first, so an invalid value throws before the request is modified
+    const attributeRefinements = getAttributeRefinements(refinements).map(splitValues).map(refinement => {
+        const { attribute, values, excludedValues, interval } = refinement
+            , { attrObj = null, facetFilter = null } = getAttributeData(attribute) || {}
+            // the date interval of a refinement replaces the interval of the attribute type
+            , attributeType = withDateInterval(context.attributeTypes.get(attribute, attrObj), interval)
+
+        values.concat(excludedValues).forEach(value => setParameters(attribute, value, attributeType, { now: context.now }))
+
+        // the 'match' of a refinement replaces the 'match' of the attribute
+        const match = getMatch(refinement.match) || getMatch(attrObj && attrObj.match, true)
+
+        return Object.assign(refinement, { attrObj, facetFilter, attributeType, match })
+    })
+
+    refinements.filter(isServiceRefinement).forEach(refinement => addServiceRefinement(request, refinement))
+
+    // a value cannot be both included and excluded - the refinement added last replaces the other
+    attributeRefinements.forEach(({ attribute, values, excludedValues, nestedAttribute, interval }) => {
+        removeRefinements(request, [
+              { attribute, values, nestedAttribute, interval, exclude: true }
+            , { attribute, values: excludedValues, nestedAttribute, interval, exclude: false }
+        ], { attributeTypes: context.attributeTypes, now: context.now })
+    })
+
+    /*
+        note:   calls to this function will always append a new 'refinement' node to the request, so
+                getEmptyGroupNode() is called rather than getGroupNode(). It is only added once a value is included.
+    */
+    let refinementNode = null
+
+    attributeRefinements.forEach(refinement => {
+        const { attribute, values, excludedValues, nestedAttribute, attrObj, facetFilter, attributeType, match } = refinement
+            // nested attribute conditions passed with the refinement replace the facet filter
+            , filterNodes = nestedAttribute ? getNestedAttributeNodes(service, nestedAttribute, attrObj)
+                : facetFilter ? [facetFilter] : null
+            , label = (nestedAttribute || isNestedAttributeNodes(attrObj, filterNodes || [])) ? LABEL_NESTED_ATTRIBUTE : null
+            // switches the attribute group nodes already in the request to the operator for the match
+            , operator = setMatchOperator(getGroupNode(getQueryNode(request), service, AND), attribute, match)
+
+        if (values.length > 0) {
+            if (!refinementNode) {
+                refinementNode = getEmptyGroupNode(null, AND)
+                getGroupNode(getQueryNode(request), service, AND).nodes.push(refinementNode)
+            }
+
+            const attributeNode = getGroupNode(refinementNode, attribute, operator)
+
+            if (filterNodes) setFacetFilterAttributeNode(service, attributeNode, refinement, filterNodes, label, attributeType, context.now)
+            else setAttributeNode(service, attributeNode, refinement, attributeType, context.now)
+        }
+
+        if (excludedValues.length > 0) {
+            const attributeNode = getExclusionNode(getGroupNode(getQueryNode(request), service, AND), attribute)
+                , exclusion = { attribute, values: excludedValues, exclude: true }
+
+            if (filterNodes) setFacetFilterAttributeNode(service, attributeNode, exclusion, filterNodes, label, attributeType, context.now)
+            else setAttributeNode(service, attributeNode, exclusion, attributeType, context.now)
+        }
+    })
+}
+
+/*
+ * Return an instance of the search request tools bound to a new context. 'frontEnd' holds the addRefinement and
+ * addRefinements functions of the synchronous or async front-end. If the 'resetPaging' option is set, adding or
+ * removing a refinement returns to the first page of results.
+ *
+ * @param {object} options
+ * @param {object} frontEnd
+ * @private
+ */
+function createTools(options, frontEnd) {
+    const context = createContext(options)
+        // in immutable mode, functions that modify a request are applied to a copy and return the new request
+        , update = (fn) => context.immutable
+            ? (request, ...args) => produce(request, copy => fn(copy, ...deepClone(args)))
+            : fn
+        , typesAndMetadata = { metadataProvider: context.metadataProvider, attributeTypes: context.attributeTypes }
+        , typesAndClock = { attributeTypes: context.attributeTypes, now: context.now }
+        , withMetadata = (fn) => (value, fnOptions) => fn(value, Object.assign({ metadataProvider: context.metadataProvider }, fnOptions))
+        // the refinement functions may return a promise (async addRefinements), so paging is reset once it resolves
+        , refine = (fn) => !context.resetPaging ? fn : (request, ...args) => {
+            const result = fn(request, ...args)
+
+            if (result && typeof result.then === 'function') return result.then(value => { resetPaging(request); return value })
+
+            resetPaging(request)
+            return result
+        }
+
+    return {
+          addFacet: update((request, facet) => addFacet(request, facet, context))
+        , addRefinement: update(refine((request, node, schema, service) => frontEnd.addRefinement(request, node, schema, service, context)))
+        , addRefinements: update(refine((request, refinements, result_type) => frontEnd.addRefinements(request, refinements, result_type, context)))
+        , applyPatch: update((request, patch) => frontEnd.applyPatch(request, patch, context))
+        , attributeTypes: context.attributeTypes
+        , createPatch
+        , decodeRequest: (encoded, fnOptions) => decodeRequest(encoded, Object.assign({}, typesAndMetadata, fnOptions))
+        , describeRequest: withMetadata(describeRequest)
+        , diffRequests: (a, b, fnOptions) => diffRequests(a, b, Object.assign({}, typesAndClock, fnOptions))
+        , encodeRequest: withMetadata(encodeRequest)
+        , evaluateRequest: (request, documents, fnOptions) =>
+            evaluateRequest(request, documents, Object.assign({ metadataProvider: context.metadataProvider }, fnOptions))
+        , facetsToRefinementOptions: (response, request) => facetsToRefinementOptions(response, request, context)
+        , getRefinementFacets: (attributes, fnOptions) => getRefinementFacets(attributes, Object.assign({}, context, fnOptions))
+        , getRefinements: (request, fnOptions) => getRefinements(request, Object.assign({}, typesAndClock, fnOptions))
+        , hashRequest
+        , invalidateAttributeData: (schema, attributes) => context.loader.invalidate(schema, attributes)
+        , normalizeRequest
+        , parseQuery: (text, fnOptions) => parseQuery(text, Object.assign({}, typesAndMetadata, fnOptions))
+        , printQuery: (request, fnOptions) => printQuery(request, Object.assign({}, typesAndMetadata, fnOptions))
+        , query
+        , removeFacet: update(removeFacet)
+        , removeRefinement: update(refine((request, nodeOrAttribute, value) => removeRefinement(request, nodeOrAttribute, value, context)))
+        , removeRefinements: update(refine((request, refinements) => removeRefinements(request, refinements, context)))
+        , setGroupBy: update(setGroupBy)
+        , setPaging: update(setPaging)
+        , setReturnType: update(setReturnType)
+        , setSort: update((request, sort) => setSort(request, sort, context))
+        , validateRequest: withMetadata(validateRequest)
+    }
+}
+
+// return the refinements for the 'text' or 'text_chem' service
+function getAttributeRefinements(refinements) {
+    return refinements.filter(refinement => !isServiceRefinement(refinement))
+}
+
+// return the schema of the attributes for a result type
+function getSchema(result_type) {
+    return (result_type === 'mol_definition') ? 'chemical' : 'structure'
+}
+
+// private functions
+
+// return the terminal node of a refinement node - the node itself, or the first node of a facet filter or nested attribute group node
+function getPrimaryNode(node) {
+    return (node.type === TERMINAL) ? node : node.nodes[0]
+}
+
+/*
+    Return the exclusion group node for an attribute. Excluded values are 'negation' nodes combined with 'and', in an
+    attribute group node in the 'groups-exclusions' group node of the service group node.
+*/
+function getExclusionNode(serviceNode, attribute) {
+    return getGroupNode(getGroupNode(serviceNode, LABEL_GROUPS_EXCLUSIONS, AND), attribute, AND)
+}
+
+// remove the inclusion of an excluded node, or the exclusion of an included node
+function removeOppositeNode(request, node, context) {
+    const opposite = deepClone(node)
+        , parameters = getPrimaryNode(opposite).parameters
+
+    if (parameters.negation) delete parameters.negation
+    else parameters.negation = true
+
+    removeRefinement(request, opposite, undefined, context)
+}
+
+/*
+    Return a refinement with the included values in 'values' and the excluded values in 'excludedValues'. All values
+    are excluded if the refinement has 'exclude: true', or a value may be excluded as { value, exclude: true }. A value
+    that is both included and excluded is excluded.
+*/
+function splitValues(refinement) {
+    const values = []
+        , excludedValues = []
+
+    refinement.values.forEach(v => {
+        const isObject = v !== null && typeof v === 'object'
+            , value = isObject ? v.value : v
+            , exclude = isObject && typeof v.exclude !== 'undefined' ? !!v.exclude : !!refinement.exclude
+
+        if (exclude) excludedValues.push(value)
+        else values.push(value)
+    })
+
+    return {
+          attribute: refinement.attribute
+        , values: values.filter(value => !excludedValues.some(v => isEqual(v, value)))
+        , excludedValues
+        , nestedAttribute: refinement.nestedAttribute
+        , interval: refinement.interval
+        , match: refinement.match
+    }
+}
+
+/*
+    Return a valid 'match' - 'any' or 'all' - or null if there is none. An invalid 'match' throws an error, or is
+    ignored if 'ignoreInvalid' is set, as for the 'match' of a uiAttrMap object.
+*/
+function getMatch(match, ignoreInvalid = false) {
+    if (typeof match === 'undefined' || match === null || match === MATCH_ANY || match === MATCH_ALL) return match || null
+    if (ignoreInvalid) return null
+
+    throw new Error('Invalid refinement match: ' + match)
+}
+
+/*
+    Set the logical operator of the attribute group nodes with included values of an attribute in a service group node,
+    and return it: 'and' for a 'match' of 'all' and 'or' for 'any'. Without a 'match', the operator of the existing
+    attribute group nodes is kept - 'or' if there are none. Excluded values are always combined with 'and'.
+*/
+function setMatchOperator(serviceNode, attribute, match) {
+    const attributeNodes = getIncludedAttributeNodes(serviceNode, attribute)
+        , operator = (match === MATCH_ALL) ? AND
+            : (match === MATCH_ANY) ? OR
+            : (attributeNodes.length > 0) ? attributeNodes[0].logical_operator : OR
+
+    attributeNodes.forEach(node => {
+        node.logical_operator = operator
+        // an 'in' node matches any of its values, so each value gets its own node when all values must match
+        if (operator === AND) node.nodes = node.nodes.reduce((nodes, n) => nodes.concat(splitInNode(n)), [])
+    })
+
+    return operator
+}
+
+// return an 'exact_match' terminal node for each value of an 'in' terminal node - other nodes are returned as is
+function splitInNode(node) {
+    const { parameters } = node
+
+    if (node.type !== TERMINAL || !parameters || parameters.operator !== IN || !Array.isArray(parameters.value)) return [node]
+
+    return parameters.value.map(value => Object.assign({}, node, { parameters: Object.assign({}, parameters, { operator: EXACT_MATCH, value }) }))
+}
+
+// return the attribute group nodes for an attribute below 'node', other than those in the 'groups-exclusions' group node
+function getIncludedAttributeNodes(node, attribute, attributeNodes = []) {
+    if (!node || node.type !== GROUP || node.label === LABEL_GROUPS_EXCLUSIONS) return attributeNodes
+
+    if (node.label === attribute && isAttributeNode(node)) attributeNodes.push(node)
+    else node.nodes.forEach(n => getIncludedAttributeNodes(n, attribute, attributeNodes))
+
+    return attributeNodes
+}
+
+/*
+    Return the terminal nodes for the nested attribute conditions of a refinement - { attribute, value, operator }
+    or a list of them. The operator is 'exact_match' by default, and the value is the value of the nested attribute in
+    the uiAttrMap object by default.
+*/
+function getNestedAttributeNodes(service, nestedAttribute, attrObj) {
+    const nestedAttributes = getNestedAttributes(attrObj)
+
+    return [].concat(nestedAttribute).map(condition => {
+        const { attribute, operator = EXACT_MATCH } = condition
+            , defaults = nestedAttributes.find(n => n.attribute === attribute) || {}
+            , value = (typeof condition.value !== 'undefined') ? condition.value : defaults.value
+
+        return getTerminalNode(service, { attribute, operator, value })
+    })
+}
+
+/*
+* Add refinement to the Search API request. The values of an excluded refinement are added as 'negation' terminal
+* nodes, unless the attribute group node already has them.
+*
+* @param {string} service
+* @param {object} attributeNode
+* @param {object} refinement
+* @param {object} attributeType
+* @param {function} now
+* @private
+*/
+function setAttributeNode(service, attributeNode, refinement, attributeType, now) {
+    const { attribute, values, exclude } = refinement
+
+    values.forEach(value => {
+        const parameters = setParameters(attribute, value, attributeType, { now }) // operator is determined by the attribute type
+
+        if (exclude) parameters.negation = true
+
+        const node = getTerminalNode(service, parameters)
+
+        if (exclude && attributeNode.nodes.some(n => isSameCondition(n, node))) return
+
+        attributeNode.nodes.push(node)
+    })
+}
+
+/*
+ * Add a group node with the facet filter, or the nested attribute nodes, for each refinement value. 'label' is
+ * LABEL_NESTED_ATTRIBUTE for nested attribute conditions. For an excluded refinement, the first node of the group node
+ * is a 'negation' terminal node - the value is excluded within the facet filter. A group node with the same conditions
+ * as one already in the attribute group node is not added.
+ *
+ * @param {string} service
+ * @param {object} attributeNode
+ * @param {object} refinement
+ * @param {object[]} filterNodes
+ * @param {string} label
+ * @param {object} attributeType
+ * @param {function} now
+ * @private
+ */
+function setFacetFilterAttributeNode(service, attributeNode, refinement, filterNodes, label, attributeType, now) {
+    const { attribute, values, exclude } = refinement
+
+    values.forEach(value => {
+        const groupNode = getEmptyGroupNode(label, AND)
+            , parameters = setParameters(attribute, value, attributeType, { now })
+
+        if (exclude) parameters.negation = true
+
+        groupNode.nodes.push(getTerminalNode(service, parameters))
+        // IMPORTANT! copy so that the same filter is not shared between nodes
+        filterNodes.forEach(filterNode => groupNode.nodes.push(deepClone(filterNode)))
+
+        // the same value and facet filter or nested attribute conditions, in any order, are only added once
+        if (attributeNode.nodes.some(n => isSameCondition(n, groupNode))) return
+
+        attributeNode.nodes.push(groupNode)
+    })
+}
@@ -0,0 +1,117 @@
+const { TYPE_DATE, BUCKET_DAY, BUCKET_MONTH, BUCKET_YEAR } = require('./constants')
+
+/*
+ * Module exports.
+ * @private
+ */
+module.exports = {
+      addDateInterval
+    , formatDate
+    , isDateBucket
+    , parseDate
+    , parseDateInterval
+    , withDateInterval
+}
+
+const DATE_BUCKETS = [BUCKET_DAY, BUCKET_MONTH, BUCKET_YEAR]
+    // date interval units - [bucket, multiplier]
+    , INTERVAL_UNITS = {
+          d: [BUCKET_DAY, 1], day: [BUCKET_DAY, 1], days: [BUCKET_DAY, 1]
+        , w: [BUCKET_DAY, 7], week: [BUCKET_DAY, 7], weeks: [BUCKET_DAY, 7]
+        , M: [BUCKET_MONTH, 1], month: [BUCKET_MONTH, 1], months: [BUCKET_MONTH, 1]
+        , q: [BUCKET_MONTH, 3], quarter: [BUCKET_MONTH, 3], quarters: [BUCKET_MONTH, 3]
+        , y: [BUCKET_YEAR, 1], year: [BUCKET_YEAR, 1], years: [BUCKET_YEAR, 1]
+    }
+    , INTERVAL_REGEX = /^(\d*)\s*([a-zA-Z]+)$/
+    , DATE_REGEX = /^(\d{4})(?:-(\d{2})(?:-(\d{2}))?)?$/
+    , RELATIVE_REGEX = /^now(?:([+-])(\d+)([dwMqy]))?$/
+    , DAY = 24 * 60 * 60 * 1000
+
+function isDateBucket(bucket) {
+    return DATE_BUCKETS.indexOf(bucket) !== -1
+}
+
+/*
+    Return the { bucket, span } of a date interval - 'day', 'week', 'month', 'quarter' or 'year', optionally with a
+    count, or a count and a unit: 'd', 'w', 'M', 'q' or 'y', e.g. "1M" or "5y". Returns null if the interval is not
+    valid.
+*/
+function parseDateInterval(interval) {
+    const match = INTERVAL_REGEX.exec(String(interval).trim())
+        , unit = match && INTERVAL_UNITS[match[2]]
+        , count = match && match[1] ? parseInt(match[1], 10) : 1
+
+    if (!unit || count < 1) return null
+
+    return { bucket: unit[0], span: count * unit[1] }
+}
+
+/*
+    Return a copy of a date attribute type entry with the bucket and span of a date interval, e.g. the 'interval' of a
+    refinement. Other attribute types, and entries without an interval, are returned as is. Throws an error if the
+    interval is not valid.
+*/
+function withDateInterval(attributeType, interval) {
+    if (!interval || attributeType.type !== TYPE_DATE) return attributeType
+
+    const dateInterval = parseDateInterval(interval)
+
+    if (!dateInterval) throw new Error('Invalid date interval: ' + interval)
+
+    return Object.assign({}, attributeType, dateInterval)
+}
+
+/*
+    Parse a date - "YYYY", "YYYY-MM" or "YYYY-MM-DD", or a date relative to today: "now", or "now" and an offset in days
+    (d), weeks (w), months (M), quarters (q) or years (y), e.g. "now-30d". 'now' returns the current time (a Date or milliseconds).
+    Returns { date, bucket, relative } - the UTC date at the start of the period, and the bucket of its precision - or
+    null if the value is not a date.
+*/
+function parseDate(value, now) {
+    const s = String(value).trim()
+        , relative = RELATIVE_REGEX.exec(s)
+
+    if (relative) {
+        const time = new Date(now())
+            , today = new Date(Date.UTC(time.getUTCFullYear(), time.getUTCMonth(), time.getUTCDate()))
+            , [, sign, count, unit] = relative
+
+        if (!sign) return { date: today, bucket: BUCKET_DAY, relative: true }
+
+        const [bucket, multiplier] = INTERVAL_UNITS[unit]
+
+        return { date: addDateInterval(today, bucket, (sign === '-' ? -1 : 1) * parseInt(count, 10) * multiplier), bucket: BUCKET_DAY, relative: true }
+    }
+
+    const match = DATE_REGEX.exec(s)
+
+    if (!match) return null
+
+    const [, year, month = '01', day = '01'] = match
+        , date = new Date(Date.UTC(parseInt(year, 10), parseInt(month, 10) - 1, parseInt(day, 10)))
+
+    // reject dates such as 2010-02-30
+    if (formatDate(date) !== year + '-' + month + '-' + day) return null
+
+    return { date, bucket: match[3] ? BUCKET_DAY : match[2] ? BUCKET_MONTH : BUCKET_YEAR, relative: false }
+}
+
+/*
+    Add 'span' days, months or years to a UTC date. Adding months keeps the day of the month, or uses the last day of
+    the month if it is shorter, e.g. 31 January and 1 month is 28 (or 29) February.
+*/
+function addDateInterval(date, bucket, span) {
+    if (bucket === BUCKET_DAY) return new Date(date.getTime() + span * DAY)
+
+    const months = (bucket === BUCKET_YEAR) ? span * 12 : span
+        , year = date.getUTCFullYear()
+        , month = date.getUTCMonth() + months
+        , lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate()
+
+    return new Date(Date.UTC(year, month, Math.min(date.getUTCDate(), lastDay)))
+}
+
+// return a UTC date as "YYYY-MM-DD"
+function formatDate(date) {
+    return date.toISOString().substring(0, 10)
+}
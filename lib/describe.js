@@ -0,0 +1,375 @@
+const { GROUP, TERMINAL, EXACT_MATCH, EQUALS, IN, RANGE, LESS, LESS_OR_EQUAL, GREATER, GREATER_OR_EQUAL, EXISTS,
+        CONTAINS_PHRASE, CONTAINS_WORDS, LABEL_NESTED_ATTRIBUTE } = require('./constants')
+    , { createContext } = require('./context')
+    , { isAttributeNode } = require('./nodes')
+
+/*
+ * Module exports.
+ * @public
+ */
+module.exports = {
+    describeRequest
+}
+
+const DEFAULT_LABELS = {
+      and: 'AND'
+    , or: 'OR'
+    , not: 'NOT'
+    , is: 'is'
+    , isNot: 'is not'
+    , in: 'is any of'
+    , notIn: 'is none of'
+    , exists: 'exists'
+    , notExists: 'does not exist'
+    , containsWords: 'contains words'
+    , containsPhrase: 'contains phrase'
+    , contains: 'contains'
+    , similarTo: 'similar to'
+    , matches: 'matches'
+    , assembly: 'assembly'
+    , identity: 'identity'
+    , evalue: 'E-value'
+    , fullText: 'Full Text'
+    , sequence: 'Sequence'
+    , seqmotif: 'Sequence Motif'
+    , structure: 'Structure'
+    , strucmotif: 'Structure Motif'
+    , chemical: 'Chemical'
+    , all: 'All'
+    , attributes: {} // attribute display name translations, keyed by attribute
+}
+    , SYMBOLS = {
+          [EQUALS]: '='
+        , [LESS]: '<'
+        , [LESS_OR_EQUAL]: '≤'
+        , [GREATER]: '>'
+        , [GREATER_OR_EQUAL]: '≥'
+    }
+    , MAX_SEQUENCE_LENGTH = 20
+    , YEAR_RANGE_REGEX = /^(\d{4})-01-01$/
+    , YEAR_END_REGEX = /^(\d{4})-12-31$/
+
+/*
+ * Return a human-readable description of a Search API request for breadcrumbs and query history, e.g.
+
+    Experimental Method is ELECTRON MICROSCOPY AND (Resolution < 0.5 Å OR 0.5–1.0 Å)
+
+ * Attribute display names and units are taken from the metadata uiAttrMap. Within an attribute group node, the
+ * attribute name is only shown for the first value. Nested attribute group nodes are described by the nested attribute
+ * value followed by the attribute, e.g. "CATH Lineage id 2", and facet filters are shown in parentheses.
+ *
+ * options:
+ *
+ *  schema:             the schema of 'text' service attributes - 'structure' by default
+ *  locale:             locale used to format numbers, e.g. 'de-DE'
+ *  labels:             translations of the labels in DEFAULT_LABELS, e.g. { and: 'UND', or: 'ODER' }. Attribute display
+ *                      names are translated with labels.attributes, e.g. { attributes: { 'exptl.method': 'Methode' } }
+ *  tokens:             if true, a list of tokens is returned instead of a string, so that each clause can be made
+ *                      clickable. Each token has a 'type' (attribute, operator, value, unit, logical, paren, text),
+ *                      the 'text' and the JSON 'path' of its node. Attribute, operator and value tokens also have the
+ *                      'attribute'.
+ *  metadataProvider:   see createSearchRequestTools. If not set, the global 'metadata' object is used if it exists.
+ *
+ * @param {object} request
+ * @param {object} options
+ * @public
+ */
+function describeRequest(request, options = {}) {
+    const state = {
+          schema: options.schema || 'structure'
+        , locale: options.locale
+        , labels: Object.assign({}, DEFAULT_LABELS, options.labels, {
+            attributes: Object.assign({}, (options.labels || {}).attributes)
+        })
+        , context: createContext({ metadataProvider: options.metadataProvider })
+    }
+
+    const tokens = describeNode(state, request.query, '$.query')
+
+    return options.tokens ? tokens : tokensToString(tokens)
+}
+
+// private functions
+
+function tokensToString(tokens) {
+    let text = ''
+
+    tokens.forEach((token, i) => {
+        const previous = tokens[i - 1]
+
+        if (i > 0 && !(previous.type === 'paren' && previous.text === '(') && !(token.type === 'paren' && token.text === ')'))
+            text += ' '
+
+        text += token.text
+    })
+
+    return text
+}
+
+/*
+    'operator' is the logical operator that combines the node with other nodes, or null if there are none. A group node
+    with a single child node does not combine nodes, so the child node is combined with the same operator.
+*/
+function describeNode(state, node, path, operator = null) {
+    if (!node) return []
+    if (node.type === TERMINAL) return describeTerminalNode(state, node, path)
+    if (node.label === LABEL_NESTED_ATTRIBUTE) return describeNestedAttributeNode(state, node, path)
+    if (isAttributeNode(node)) return describeAttributeNode(state, node, path)
+
+    return describeGroupNode(state, node, path, operator)
+}
+
+function describeGroupNode(state, node, path, operator) {
+    const tokens = []
+        , logical = state.labels[node.logical_operator] || node.logical_operator.toUpperCase()
+        , combined = (node.nodes.length > 1) ? node.logical_operator : operator
+
+    node.nodes.forEach((child, i) => {
+        const childTokens = describeNode(state, child, path + '.nodes[' + i + ']', combined)
+
+        if (childTokens.length === 0) return
+        if (tokens.length) tokens.push({ type: 'logical', text: logical, path })
+
+        tokens.push(...wrap(child, combined, childTokens, path + '.nodes[' + i + ']'))
+    })
+
+    return tokens
+}
+
+/*
+    Wrap the tokens of a child group node in parentheses if it has a different logical operator than the operator that
+    combines it with other nodes.
+*/
+function wrap(child, operator, tokens, path) {
+    const needsParens = child.type === GROUP && child.nodes.length > 1 && operator !== null
+        && child.logical_operator !== operator && child.label !== LABEL_NESTED_ATTRIBUTE
+
+    if (!needsParens) return tokens
+
+    return [{ type: 'paren', text: '(', path }].concat(tokens, [{ type: 'paren', text: ')', path }])
+}
+
+/*
+    An attribute group node is a group node labelled with an attribute, as created by addRefinement/addRefinements.
+    The attribute name is shown for the first value only, e.g. "Resolution < 0.5 Å OR 0.5–1.0 Å".
+*/
+function describeAttributeNode(state, node, path) {
+    const tokens = []
+        , logical = state.labels[node.logical_operator] || node.logical_operator.toUpperCase()
+
+    node.nodes.forEach((child, i) => {
+        const childPath = path + '.nodes[' + i + ']'
+            , continuation = i > 0
+
+        if (continuation) tokens.push({ type: 'logical', text: logical, path })
+
+        if (child.type === TERMINAL) {
+            tokens.push(...describeTerminalNode(state, child, childPath, continuation))
+        } else if (child.label === LABEL_NESTED_ATTRIBUTE) {
+            tokens.push(...describeNestedAttributeNode(state, child, childPath))
+        } else { // facet filter group node - the filter is shown in parentheses
+            tokens.push(...describeTerminalNode(state, child.nodes[0], childPath + '.nodes[0]', continuation))
+
+            const filterTokens = child.nodes.slice(1).map((n, j) => describeNode(state, n, childPath + '.nodes[' + (j + 1) + ']'))
+                .filter(t => t.length)
+
+            filterTokens.forEach(t => tokens.push({ type: 'paren', text: '(', path: childPath }, ...t, { type: 'paren', text: ')', path: childPath }))
+        }
+    })
+
+    return tokens
+}
+
+// describe a nested attribute group node by its nested attribute values, e.g. "CATH Lineage id 2"
+function describeNestedAttributeNode(state, node, path) {
+    const [primary, ...nested] = node.nodes
+
+    if (!primary || nested.length === 0 || !primary.parameters || nested.some(n => !n.parameters)) return describeGroupNode(state, node, path)
+
+    const { attribute } = primary.parameters
+        , primaryPath = path + '.nodes[0]'
+
+    const valueTokens = nested.map((n, i) => ({
+          type: 'value'
+        , text: String(n.parameters.value)
+        , path: path + '.nodes[' + (i + 1) + ']'
+        , attribute: n.parameters.attribute
+    }))
+
+    return valueTokens
+        .concat([{ type: 'attribute', text: getAttributeName(state, primary.service, attribute), path: primaryPath, attribute }])
+        .concat(describeValue(state, primary.service, primary.parameters, primaryPath))
+}
+
+/*
+    Describe a terminal node. If 'continuation' is true, the node follows another value of the same attribute, so the
+    attribute name and the 'is' operator are not shown.
+*/
+function describeTerminalNode(state, node, path, continuation = false) {
+    const { service, parameters } = node
+        , { labels } = state
+
+    if (!parameters) return [{ type: 'text', text: labels.all, path }]
+
+    switch (service) {
+        case 'text':
+        case 'text_chem':
+            return describeAttributeClause(state, node, path, continuation)
+        case 'full_text':
+            return [
+                  { type: 'attribute', text: labels.fullText, path }
+                , { type: 'operator', text: labels.contains, path }
+                , { type: 'value', text: '"' + parameters.value + '"', path }
+            ]
+        case 'sequence':
+            return [
+                  { type: 'attribute', text: labels.sequence, path }
+                , { type: 'operator', text: labels.similarTo, path }
+                , { type: 'value', text: truncate(parameters.value), path }
+            ].concat(describeSequenceCutoffs(state, parameters, path))
+        case 'seqmotif':
+            return [
+                  { type: 'attribute', text: labels.seqmotif, path }
+                , { type: 'operator', text: labels.matches, path }
+                , { type: 'value', text: truncate(parameters.value), path }
+            ]
+        case 'structure':
+        case 'strucmotif': {
+            const value = parameters.value || {}
+                , text = value.entry_id + (value.assembly_id ? ' ' + labels.assembly + ' ' + value.assembly_id : '')
+
+            return [
+                  { type: 'attribute', text: labels[service], path }
+                , { type: 'operator', text: (service === 'structure') ? labels.similarTo : labels.matches, path }
+                , { type: 'value', text, path }
+            ]
+        }
+        case 'chemical':
+            return [
+                  { type: 'attribute', text: labels.chemical + (parameters.descriptor_type ? ' ' + parameters.descriptor_type : ''), path }
+                , { type: 'operator', text: labels.matches, path }
+                , { type: 'value', text: parameters.value, path }
+            ]
+        default:
+            return [{ type: 'text', text: service + ' ' + JSON.stringify(parameters), path }]
+    }
+}
+
+function describeAttributeClause(state, node, path, continuation) {
+    const { service, parameters } = node
+        , { attribute, operator, negation } = parameters
+        , { labels } = state
+        , tokens = []
+
+    let operatorText
+
+    if (operator === EXACT_MATCH || operator === RANGE) operatorText = negation ? labels.isNot : labels.is
+    else if (operator === IN) operatorText = negation ? labels.notIn : labels.in
+    else if (operator === EXISTS) operatorText = negation ? labels.notExists : labels.exists
+    else if (operator === CONTAINS_WORDS) operatorText = labels.containsWords
+    else if (operator === CONTAINS_PHRASE) operatorText = labels.containsPhrase
+    else operatorText = SYMBOLS[operator] || operator
+
+    const implicitOperator = (operator === EXACT_MATCH || operator === RANGE) && !negation
+
+    if (negation && [EXACT_MATCH, RANGE, IN, EXISTS].indexOf(operator) === -1)
+        tokens.push({ type: 'operator', text: labels.not, path, attribute })
+
+    if (!continuation) tokens.push({ type: 'attribute', text: getAttributeName(state, service, attribute), path, attribute })
+    if (!continuation || !implicitOperator) tokens.push({ type: 'operator', text: operatorText, path, attribute })
+
+    if (operator !== EXISTS) tokens.push(...describeValue(state, service, parameters, path))
+
+    return tokens
+}
+
+// return value and unit tokens for 'text' and 'text_chem' parameters
+function describeValue(state, service, parameters, path) {
+    const { attribute, operator, value } = parameters
+        , attrObj = getAttrObj(state, service, attribute)
+        , units = attrObj && attrObj.units
+        , tokens = []
+
+    let text, numeric = false
+
+    if (operator === RANGE && value && typeof value === 'object') {
+        numeric = typeof value.from === 'number' || typeof value.to === 'number'
+        text = formatRange(state, value)
+    } else if (Array.isArray(value)) {
+        text = value.map(v => formatValue(state, v)).join(', ')
+    } else {
+        numeric = typeof value === 'number'
+        text = formatValue(state, value)
+    }
+
+    tokens.push({ type: 'value', text, path, attribute })
+
+    if (numeric && units) tokens.push({ type: 'unit', text: units, path, attribute })
+
+    return tokens
+}
+
+function describeSequenceCutoffs(state, parameters, path) {
+    const { labels } = state
+        , cutoffs = []
+
+    if (typeof parameters.identity_cutoff === 'number')
+        cutoffs.push(labels.identity + ' ≥ ' + formatNumber(state, parameters.identity_cutoff * 100) + '%')
+    if (typeof parameters.evalue_cutoff === 'number')
+        cutoffs.push(labels.evalue + ' ≤ ' + formatNumber(state, parameters.evalue_cutoff))
+
+    return cutoffs.length ? [{ type: 'text', text: '(' + cutoffs.join(', ') + ')', path }] : []
+}
+
+/*
+    Format a range value. Numeric ranges are formatted with the same number of decimal places for both bounds, e.g.
+    "0.5–1.0". Date ranges covering whole years are formatted as years, e.g. "2010–2014".
+*/
+function formatRange(state, range) {
+    const { from, to, include_lower, include_upper } = range
+
+    if (typeof from === 'undefined') return (include_upper ? '≤ ' : '< ') + formatValue(state, to)
+    if (typeof to === 'undefined') return (include_lower ? '≥ ' : '> ') + formatValue(state, from)
+
+    if (typeof from === 'number' && typeof to === 'number') {
+        const digits = Math.max(getDecimals(from), getDecimals(to))
+        return formatNumber(state, from, digits) + '–' + formatNumber(state, to, digits)
+    }
+
+    const fromYear = YEAR_RANGE_REGEX.exec(from)
+        , toYear = YEAR_END_REGEX.exec(to)
+
+    if (fromYear && toYear) return (fromYear[1] === toYear[1]) ? fromYear[1] : fromYear[1] + '–' + toYear[1]
+
+    return from + '–' + to
+}
+
+function formatValue(state, value) {
+    return (typeof value === 'number') ? formatNumber(state, value) : String(value)
+}
+
+function formatNumber(state, n, digits) {
+    const options = (typeof digits === 'number') ? { minimumFractionDigits: digits, maximumFractionDigits: digits } : { maximumFractionDigits: 20 }
+    return n.toLocaleString(state.locale, options)
+}
+
+function getDecimals(n) {
+    const s = String(n)
+        , i = s.indexOf('.')
+    return (i === -1 || s.indexOf('e') !== -1) ? 0 : s.length - i - 1
+}
+
+function truncate(value) {
+    const s = String(value)
+    return (s.length > MAX_SEQUENCE_LENGTH) ? s.substring(0, MAX_SEQUENCE_LENGTH) + '…' : s
+}
+
+function getAttributeName(state, service, attribute) {
+    const attrObj = getAttrObj(state, service, attribute)
+    return state.labels.attributes[attribute] || (attrObj && attrObj.display_name) || attribute
+}
+
+function getAttrObj(state, service, attribute) {
+    const metadata = state.context.findMetadata((service === 'text_chem') ? 'chemical' : state.schema)
+    return metadata ? metadata.uiAttrMap[attribute] : null
+}
@@ -0,0 +1,364 @@
+const { GROUP, TERMINAL, LABEL_SERVICE_REFINEMENTS } = require('./constants')
+    , { RequestValidationError } = require('./errors')
+    , { getRefinements } = require('./get-refinements')
+    , { isAttributeNode } = require('./nodes')
+    , { normalizeRequest } = require('./normalize')
+    , { removeRefinements } = require('./remove-refinements')
+    , { removeFacet } = require('./request-options')
+    , { deepClone, isEqual } = require('./utils')
+
+/*
+ * Module exports.
+ * @public
+ */
+module.exports = {
+      applyPatchOperations
+    , createPatch
+    , diffRequests
+}
+
+/*
+ * Return the differences between two Search API requests, 'a' (previous) and 'b' (next). Both requests are
+ * normalized first (see normalizeRequest), so node order and the group nodes added by addRefinement/addRefinements do
+ * not matter. The request objects are not modified.
+ *
+ *  refinements:    refinement values added and removed, in the format of getRefinements/addRefinements - one entry
+ *                  per attribute and facet filter, nested attribute or 'exclude', or per service and parameters. A
+ *                  refinement with both added and removed values, e.g. a resolution range changed from "0.5-1" to
+ *                  "1-1.5", is listed in 'changed' with the removed values in 'from' and the added values in 'to'.
+ *  query:          terminal nodes of the base query (outside the refinement group nodes) added and removed. A node
+ *                  removed and a node added for the same service and attribute, e.g. a changed operator or full text
+ *                  search, are listed in 'changed' with the 'from' and 'to' parameters.
+ *  options:        the request 'return_type' and 'request_options' that differ - { option, from, to }, with
+ *                  'from' or 'to' undefined if the option is only set in one request. Facets are compared by name
+ *                  and listed as { option: 'facets', name, from, to }.
+ *
+ * Example return value:
+
+    {
+        refinements: {
+            added: [ { attribute: "exptl.method", values: [ "ELECTRON MICROSCOPY" ] } ],
+            removed: [],
+            changed: [ { attribute: "rcsb_entry_info.resolution_combined", from: [ "0.5-1" ], to: [ "1-1.5" ] } ]
+        },
+        query: {
+            added: [],
+            removed: [],
+            changed: [
+                {
+                    service: "full_text",
+                    from: { value: "hemoglobin" },
+                    to: { value: "myoglobin" }
+                }
+            ]
+        },
+        options: [ { option: "paginate", from: { start: 25, rows: 25 }, to: { start: 0, rows: 25 } } ]
+    }
+
+ * Pass the diff to createPatch to apply the same changes to another request. The options are passed to
+ * getRefinements: 'attributeTypes' and 'now'.
+ *
+ * @param {object} a
+ * @param {object} b
+ * @param {object} options
+ * @public
+ */
+function diffRequests(a, b, options = {}) {
+    const normalizedA = normalizeRequest(a || {})
+        , normalizedB = normalizeRequest(b || {})
+
+    return {
+          refinements: diffRefinements(normalizedA, normalizedB, options)
+        , query: diffQueryNodes(getQueryNodes(normalizedA.query), getQueryNodes(normalizedB.query))
+        , options: diffOptions(normalizedA, normalizedB)
+    }
+}
+
+/*
+ * Return a patch for a diff returned by diffRequests - a list of operations that can be applied to another request
+ * with applyPatch. Patches are plain objects, so they can be stored or sent with analytics events. The operations are
+ * applied in this order:
+ *
+ *  { op: 'set', option, value }:           set a 'request_options' option or the 'return_type' - the option is
+ *                                          removed if 'value' is null. Facets are set by 'name'.
+ *  { op: 'replace', service, from, to }:   replace the parameters of a base query terminal node for the service
+ *                                          whose parameters are 'from'
+ *  { op: 'remove', refinements }:          remove refinements, as removeRefinements
+ *  { op: 'add', refinements }:             add refinements, as addRefinements
+ *
+ * Base query nodes only added to or removed from a request are not part of the patch, since there is no refinement
+ * group node to add them to or remove them from.
+ *
+ * @param {object} diff
+ * @public
+ *
+ * Example:
+ *
+ *  const patch = createPatch(diffRequests(previousRequest, request))
+ *  applyPatch(otherRequest, patch)
+ */
+function createPatch(diff) {
+    const patch = []
+        , { refinements, query, options } = diff
+        , removed = refinements.removed.concat(refinements.changed.map(r => withValues(r, { values: r.from })))
+        , added = refinements.added.concat(refinements.changed.map(r => withValues(r, { values: r.to })))
+
+    options.forEach(({ option, name, to }) => {
+        const operation = { op: 'set', option }
+        if (option === 'facets') operation.name = name
+        operation.value = (typeof to === 'undefined') ? null : deepClone(to)
+        patch.push(operation)
+    })
+
+    query.changed.forEach(({ service, from, to }) => {
+        patch.push({ op: 'replace', service, from: deepClone(from), to: deepClone(to) })
+    })
+
+    if (removed.length > 0) patch.push({ op: 'remove', refinements: deepClone(removed) })
+    if (added.length > 0) patch.push({ op: 'add', refinements: deepClone(added) })
+
+    return patch
+}
+
+/*
+ * Apply a patch returned by createPatch to an existing Search API request - see applyPatch in lib/sync.js.
+ * 'addRefinements' is called with the request, refinements and result type of the request, and may return a promise
+ * (async addRefinements), which is returned. Throws a RequestValidationError, before the request is modified, if an
+ * operation is malformed or has an unknown 'op' - the path of each error starts with the index of the operation, e.g.
+ * "$[2].refinements".
+ *
+ * @param {object} request
+ * @param {object[]} patch
+ * @param {object} context
+ * @param {function} addRefinements
+ * @private
+ */
+function applyPatchOperations(request, patch, context, addRefinements) {
+    assertValidPatch(patch)
+
+    const operations = (op) => patch.filter(operation => operation.op === op)
+
+    operations('set').forEach(operation => setOption(request, operation))
+    operations('replace').forEach(operation => replaceQueryNode(request.query, operation))
+    operations('remove').forEach(({ refinements }) => {
+        removeRefinements(request, refinements.map(getRemoveRefinement), { attributeTypes: context.attributeTypes, now: context.now })
+    })
+
+    const refinements = operations('add').reduce((list, operation) => list.concat(operation.refinements), [])
+
+    if (refinements.length === 0) return undefined
+
+    return addRefinements(request, deepClone(refinements), request.return_type || 'entry')
+}
+
+// private functions
+
+// throw a RequestValidationError if 'patch' is not a list of operations in the format returned by createPatch
+function assertValidPatch(patch) {
+    const errors = []
+        , addError = (path, code, message) => errors.push({ path, code, message })
+        , isObject = (o) => !!o && typeof o === 'object' && !Array.isArray(o)
+
+    if (!Array.isArray(patch)) addError('$', 'invalid_patch', 'patch must be an array of operations')
+    else patch.forEach((operation, i) => {
+        const path = '$[' + i + ']'
+
+        if (!isObject(operation)) return addError(path, 'invalid_operation', 'operation must be an object')
+
+        const { op, option, name, value, service, from, to, refinements } = operation
+
+        if (op === 'set') {
+            if (typeof option !== 'string') addError(path + '.option', 'invalid_option', 'option must be a string')
+            if (option === 'facets' && typeof name !== 'string') addError(path + '.name', 'invalid_name', 'name must be a string')
+            if (typeof value === 'undefined') addError(path + '.value', 'missing_value', 'value must be set - null removes the option')
+        } else if (op === 'replace') {
+            if (typeof service !== 'string') addError(path + '.service', 'invalid_service', 'service must be a string')
+            if (!isObject(from)) addError(path + '.from', 'invalid_parameters', 'from must be an object')
+            if (!isObject(to)) addError(path + '.to', 'invalid_parameters', 'to must be an object')
+        } else if (op === 'remove' || op === 'add') {
+            if (!Array.isArray(refinements)) return addError(path + '.refinements', 'invalid_refinements', 'refinements must be an array')
+
+            refinements.forEach((refinement, j) => {
+                const refinementPath = path + '.refinements[' + j + ']'
+
+                if (!isObject(refinement) || (typeof refinement.attribute !== 'string' && typeof refinement.service !== 'string'))
+                    addError(refinementPath, 'invalid_refinement', 'refinement must be an object with an attribute or service')
+                else if ((op === 'add' || typeof refinement.values !== 'undefined') && !Array.isArray(refinement.values))
+                    addError(refinementPath + '.values', 'invalid_values', 'values must be an array')
+            })
+        } else {
+            addError(path + '.op', 'invalid_op', "op must be 'set', 'replace', 'remove' or 'add'")
+        }
+    })
+
+    if (errors.length > 0) throw new RequestValidationError(errors)
+}
+
+// return the attribute and service refinements of a normalized request as a single list
+function getRefinementList(request, options) {
+    if (!request.query) return []
+
+    const { refinements, facetFilterRefinements, nestedAttributeRefinements, serviceRefinements } = getRefinements(request, options)
+
+    return refinements.concat(facetFilterRefinements, nestedAttributeRefinements, serviceRefinements)
+}
+
+// return true if two refinements are for the same attribute or service, apart from their values
+function isSameRefinement(a, b) {
+    return a.attribute === b.attribute && a.service === b.service && !!a.exclude === !!b.exclude && a.match === b.match
+        && isEqual(a.facetFilter, b.facetFilter) && isEqual(a.nestedAttribute, b.nestedAttribute) && isEqual(a.parameters, b.parameters)
+}
+
+function diffRefinements(a, b, options) {
+    const listA = getRefinementList(a, options)
+        , listB = getRefinementList(b, options)
+        , result = { added: [], removed: [], changed: [] }
+        , getValues = (list, refinement) => (list.find(r => isSameRefinement(r, refinement)) || { values: [] }).values
+
+    listA.concat(listB.filter(r => !listA.some(other => isSameRefinement(r, other)))).forEach(refinement => {
+        const valuesA = getValues(listA, refinement)
+            , valuesB = getValues(listB, refinement)
+            , removed = valuesA.filter(v => !valuesB.some(w => isEqual(v, w)))
+            , added = valuesB.filter(v => !valuesA.some(w => isEqual(v, w)))
+
+        if (removed.length > 0 && added.length > 0) {
+            result.changed.push(withValues(refinement, { from: removed, to: added }))
+        } else if (removed.length > 0) {
+            result.removed.push(withValues(refinement, { values: removed }))
+        } else if (added.length > 0) {
+            result.added.push(withValues(refinement, { values: added }))
+        }
+    })
+
+    return result
+}
+
+/*
+    Return a copy of a refinement with its values replaced by 'values' - { values } or { from, to } - keeping the key
+    order of getRefinements.
+*/
+function withValues(refinement, values) {
+    const copy = {}
+
+    Object.keys(refinement).forEach(key => {
+        if (key === 'values' || key === 'from') Object.assign(copy, values)
+        else if (key !== 'to') copy[key] = refinement[key]
+    })
+
+    return copy
+}
+
+/*
+    Return the terminal nodes of the base query - the terminal nodes that are not in attribute group nodes or service
+    refinement group nodes.
+*/
+function getQueryNodes(node, result = []) {
+    if (!node) return result
+    if (node.type === TERMINAL) result.push(node)
+    else if (node.type === GROUP && Array.isArray(node.nodes) && node.label !== LABEL_SERVICE_REFINEMENTS && !isAttributeNode(node))
+        node.nodes.forEach(n => getQueryNodes(n, result))
+
+    return result
+}
+
+function diffQueryNodes(nodesA, nodesB) {
+    const removed = nodesA.filter(n => !nodesB.some(m => isEqual(n, m)))
+        , added = nodesB.filter(n => !nodesA.some(m => isEqual(n, m)))
+        , changed = []
+        , key = (n) => n.service + ':' + ((n.parameters && n.parameters.attribute) || '')
+        , count = (list, k) => list.filter(n => key(n) === k).length
+
+    // a node is changed if it is the only node removed and the only node added for its service and attribute
+    removed.slice().forEach(from => {
+        const k = key(from)
+
+        if (count(removed, k) !== 1 || count(added, k) !== 1) return
+
+        const to = added.find(n => key(n) === k)
+            , entry = { service: from.service }
+
+        if (from.parameters && from.parameters.attribute) entry.attribute = from.parameters.attribute
+        entry.from = from.parameters
+        entry.to = to.parameters
+
+        changed.push(entry)
+        removed.splice(removed.indexOf(from), 1)
+        added.splice(added.indexOf(to), 1)
+    })
+
+    return { added, removed, changed }
+}
+
+function diffOptions(a, b) {
+    const result = []
+        , optionsA = a.request_options || {}
+        , optionsB = b.request_options || {}
+        , keys = Object.keys(optionsA).concat(Object.keys(optionsB).filter(key => !(key in optionsA)))
+
+    if (!isEqual(a.return_type, b.return_type)) result.push({ option: 'return_type', from: a.return_type, to: b.return_type })
+
+    keys.forEach(key => {
+        if (key === 'facets') diffFacets(optionsA.facets || [], optionsB.facets || [], result)
+        else if (!isEqual(optionsA[key], optionsB[key])) result.push({ option: key, from: optionsA[key], to: optionsB[key] })
+    })
+
+    return result
+}
+
+// facets are compared by name - a filter facet is compared as a whole, by the names of its facets
+function diffFacets(facetsA, facetsB, result) {
+    const name = (facet) => (facet.filter && Array.isArray(facet.facets)) ? facet.facets.map(name).join(',') : facet.name
+        , find = (facets, n) => facets.find(facet => name(facet) === n)
+        , names = facetsA.map(name).concat(facetsB.map(name).filter(n => !find(facetsA, n)))
+
+    names.forEach(n => {
+        const from = find(facetsA, n)
+            , to = find(facetsB, n)
+
+        if (!isEqual(from, to)) result.push({ option: 'facets', name: n, from, to })
+    })
+}
+
+function setOption(request, { option, name, value }) {
+    if (option === 'return_type') {
+        if (value === null) delete request.return_type
+        else request.return_type = value
+        return
+    }
+
+    if (option === 'facets') {
+        name.split(',').forEach(n => removeFacet(request, n))
+        if (value === null) return
+    } else if (value === null) {
+        if (request.request_options) delete request.request_options[option]
+        if (request.request_options && Object.keys(request.request_options).length === 0) delete request.request_options
+        return
+    }
+
+    if (!request.request_options) request.request_options = {}
+
+    if (option === 'facets') request.request_options.facets = (request.request_options.facets || []).concat([deepClone(value)])
+    else request.request_options[option] = deepClone(value)
+}
+
+// replace the parameters of the base query terminal node for 'service' whose parameters are 'from'
+function replaceQueryNode(query, { service, from, to }) {
+    const node = getQueryNodes(query).find(n => n.service === service && isEqual(n.parameters, from))
+
+    if (node) node.parameters = deepClone(to)
+}
+
+/*
+    Return a refinement in the format of removeRefinements. The values of a facet filter or nested attribute refinement
+    are only removed with the same facet filter or nested attribute conditions.
+*/
+function getRemoveRefinement(refinement) {
+    const { facetFilter, nestedAttribute, ...rest } = refinement
+        , result = Object.assign({}, rest, { exclude: !!refinement.exclude })
+
+    if (refinement.service) return refinement
+    if (nestedAttribute) result.nestedAttribute = nestedAttribute
+    else if (facetFilter) result.nestedAttribute = (facetFilter.type === GROUP) ? facetFilter : facetFilter.parameters
+
+    return result
+}
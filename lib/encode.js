@@ -0,0 +1,373 @@
+const { GROUP, TERMINAL, AND, OR, RANGE, RETURN_TYPES, LABEL_GROUPS_REFINEMENTS,
+        LABEL_NESTED_ATTRIBUTE } = require('./constants')
+    , { createContext } = require('./context')
+    , { RequestDecodeError } = require('./errors')
+    , { validateRequestOptions } = require('./request-options')
+    , { hashString } = require('./utils')
+    , { validateRequest } = require('./validate')
+
+/*
+ * Module exports.
+ * @public
+ */
+module.exports = {
+      decodeRequest
+    , encodeRequest
+}
+
+const VERSION = '1'
+    , SCHEMAS = ['structure', 'chemical']
+    , ATTRIBUTE_CODE_RANGE = 10000000
+    /*
+        IMPORTANT! codes are positions in these lists - only ever append to them, otherwise links encoded with
+        an earlier version will decode incorrectly
+    */
+    , SERVICES = ['text', 'text_chem', 'full_text', 'sequence', 'seqmotif', 'structure', 'strucmotif', 'chemical']
+    , OPERATORS = ['exact_match', 'in', 'range', 'less', 'less_or_equal', 'greater', 'greater_or_equal', 'equals',
+        'exists', 'contains_words', 'contains_phrase']
+    , LABELS = [LABEL_GROUPS_REFINEMENTS, LABEL_NESTED_ATTRIBUTE].concat(SERVICES)
+    , GROUP_KEYS = ['type', 'nodes', 'logical_operator', 'label']
+    , TERMINAL_KEYS = ['type', 'service', 'parameters']
+    // terminal nodes with a Search API 'node_id' are encoded unchanged - see encodeNode
+    , RAW_TERMINAL_KEYS = TERMINAL_KEYS.concat(['node_id'])
+    , RANGE_KEYS = ['from', 'to', 'include_lower', 'include_upper']
+    // limits of a decoded query - deeper or larger payloads are rejected rather than exhausting the stack
+    , MAX_DEPTH = 50
+    , MAX_NODES = 5000
+    // top-level request keys other than query, return_type and request_options that are restored from the payload
+    , EXTRA_KEYS = ['request_info']
+
+/*
+ * Return a short, URL-safe string for a Search API request, for use in query strings and bookmarks. The request can be
+ * restored with decodeRequest. The string has the format
+
+    <version>.<payload>.<checksum>
+
+ * The payload is a compact form of the request in base64url: attributes in the metadata uiAttrMap, operators,
+ * services, group labels and return types are replaced by short codes. Attribute codes are derived from the attribute
+ * name, so they do not change when attributes are added to the metadata. The checksum is used to detect modified
+ * payloads - it is not a signature.
+ *
+ * options:
+ *
+ *  metadataProvider:   see createSearchRequestTools. If not set, the global 'metadata' object is used if it exists.
+ *                      Attributes not found in the metadata are encoded in full.
+ *
+ * @param {object} request
+ * @param {object} options
+ * @public
+ */
+function encodeRequest(request, options = {}) {
+    const codes = getAttributeCodes(options)
+        , payload = {}
+
+    Object.keys(request).forEach(key => {
+        const value = request[key]
+
+        if (key === 'query') payload.q = encodeNode(codes, value)
+        else if (key === 'return_type') payload.t = encodeCode(RETURN_TYPES, value)
+        else if (key === 'request_options') payload.o = value
+        else (payload.x = payload.x || {})[key] = value
+    })
+
+    const json = JSON.stringify(payload)
+
+    return VERSION + '.' + toBase64Url(json) + '.' + getChecksum(json)
+}
+
+/*
+ * Return the Search API request for a string returned by encodeRequest. A RequestDecodeError is thrown if the string
+ * is malformed, has an unknown version, has been modified, contains an unknown code or an attribute code that is not
+ * in the metadata, has a query nested more than 50 levels deep or with more than 5000 nodes, or if the decoded request
+ * fails validateRequest or its 'request_options' are not valid - the paging, sort order, facets, grouping and result
+ * options are checked as by setPaging, setSort, addFacet, setGroupBy and setReturnType. Top-level keys other than 'query', 'return_type',
+ * 'request_options' and 'request_info' are ignored.
+ *
+ * options:
+ *
+ *  metadataProvider:   see encodeRequest - must contain the attributes of the encoded request
+ *  attributeTypes:     attribute type registry used to check facets - the default registry if not set
+ *
+ * @param {string} encoded
+ * @param {object} options
+ * @public
+ */
+function decodeRequest(encoded, options = {}) {
+    if (typeof encoded !== 'string') throw new RequestDecodeError('Encoded request must be a string')
+
+    const parts = encoded.split('.')
+
+    if (parts.length !== 3) throw new RequestDecodeError('Malformed encoded request')
+    if (parts[0] !== VERSION) throw new RequestDecodeError('Unknown encoded request version: ' + parts[0])
+
+    let json, payload
+
+    try {
+        json = fromBase64Url(parts[1])
+        payload = JSON.parse(json)
+    } catch (err) {
+        throw new RequestDecodeError('Malformed encoded request payload')
+    }
+
+    if (getChecksum(json) !== parts[2]) throw new RequestDecodeError('Encoded request checksum does not match')
+    if (!payload || typeof payload !== 'object' || Array.isArray(payload)) throw new RequestDecodeError('Malformed encoded request payload')
+
+    const codes = getAttributeCodes(options)
+        , request = {}
+
+    if (typeof payload.q !== 'undefined') request.query = decodeNode({ codes, count: 0 }, payload.q, 0)
+    if (typeof payload.t !== 'undefined') request.return_type = decodeCode(RETURN_TYPES, payload.t, 'return type')
+    if (typeof payload.o !== 'undefined') request.request_options = payload.o
+    if (payload.x && typeof payload.x === 'object') {
+        EXTRA_KEYS.forEach(key => {
+            if (Object.prototype.hasOwnProperty.call(payload.x, key)) request[key] = payload.x[key]
+        })
+    }
+
+    const { metadataProvider, attributeTypes } = options
+        , errors = validateRequest(request, { schema: getSchema(request.return_type), metadataProvider })
+            .concat(validateRequestOptions(request, { metadataProvider, attributeTypes }))
+
+    if (errors.length > 0) {
+        throw new RequestDecodeError('Decoded request is not valid: ' + errors.map(e => e.path + ' ' + e.message).join('; '))
+    }
+
+    return request
+}
+
+// private functions
+
+/*
+    Return the attribute code maps for all attributes in the metadata. Attribute codes are positive integers derived
+    from the attribute name. If two attributes have the same code, neither is encoded and decoding the code fails.
+*/
+function getAttributeCodes(options) {
+    const context = createContext({ metadataProvider: options.metadataProvider })
+        , byAttribute = {}
+        , byCode = {}
+        , collisions = {}
+
+    SCHEMAS.forEach(schema => {
+        const metadata = context.findMetadata(schema)
+
+        if (!metadata) return
+
+        Object.keys(metadata.uiAttrMap).forEach(attribute => {
+            const code = (hashString(attribute) % ATTRIBUTE_CODE_RANGE) + 1
+
+            if (byCode[code] && byCode[code] !== attribute) collisions[code] = true
+            byCode[code] = attribute
+        })
+    })
+
+    Object.keys(byCode).forEach(code => {
+        if (collisions[code]) delete byCode[code]
+        else byAttribute[byCode[code]] = Number(code)
+    })
+
+    return { byAttribute, byCode, collisions }
+}
+
+/*
+    Group nodes are encoded as arrays: [logical operator (0 = and, 1 = or), label, ...nodes]. The label is 0 for no label,
+    a negative number for a known label, a positive number for an attribute code, or the label string.
+
+    Terminal nodes are encoded as objects: { s: service, a: attribute, o: operator, v: value, n: negation, p: other
+    parameters }. Nodes with any other properties are encoded unchanged as { r: node } - only terminal nodes with a
+    'node_id' can be decoded again.
+*/
+function encodeNode(codes, node) {
+    if (node.type === GROUP && hasOnlyKeys(node, GROUP_KEYS) && (node.logical_operator === AND || node.logical_operator === OR)
+        && Array.isArray(node.nodes)) {
+        const encoded = [(node.logical_operator === AND) ? 0 : 1, encodeLabel(codes, node.label)]
+        node.nodes.forEach(n => encoded.push(encodeNode(codes, n)))
+        return encoded
+    }
+
+    if (node.type === TERMINAL && hasOnlyKeys(node, TERMINAL_KEYS)) {
+        const encoded = { s: encodeCode(SERVICES, node.service) }
+            , parameters = node.parameters
+
+        if (!parameters) return encoded
+        if (Object.keys(parameters).length === 0) encoded.p = {}
+
+        Object.keys(parameters).forEach(key => {
+            const value = parameters[key]
+
+            if (key === 'attribute') encoded.a = codes.byAttribute[value] || value
+            else if (key === 'operator') encoded.o = encodeCode(OPERATORS, value)
+            else if (key === 'negation') encoded.n = value
+            else if (key === 'value') encoded.v = (parameters.operator === RANGE) ? encodeRange(value) : value
+            else (encoded.p = encoded.p || {})[key] = value
+        })
+
+        return encoded
+    }
+
+    return { r: node }
+}
+
+// 'state' holds the attribute 'codes' and the 'count' of nodes decoded so far
+function decodeNode(state, encoded, depth) {
+    const { codes } = state
+
+    checkLimits(state, depth)
+
+    if (Array.isArray(encoded)) {
+        const [operator, label, ...nodes] = encoded
+
+        if (operator !== 0 && operator !== 1) throw new RequestDecodeError('Malformed group node')
+
+        const node = { type: GROUP, logical_operator: (operator === 0) ? AND : OR }
+            , decodedLabel = decodeLabel(codes, label)
+
+        if (decodedLabel) node.label = decodedLabel
+        node.nodes = nodes.map(n => decodeNode(state, n, depth + 1))
+
+        return node
+    }
+
+    if (!encoded || typeof encoded !== 'object') throw new RequestDecodeError('Malformed node')
+    if (typeof encoded.r !== 'undefined') return decodeRawNode(encoded.r)
+
+    const node = { type: TERMINAL, service: decodeCode(SERVICES, encoded.s, 'service') }
+        , keys = Object.keys(encoded)
+
+    if (keys.length === 1) return node
+
+    const parameters = {}
+
+    keys.forEach(key => {
+        const value = encoded[key]
+
+        if (key === 'a') parameters.attribute = decodeAttribute(codes, value)
+        else if (key === 'o') parameters.operator = decodeCode(OPERATORS, value, 'operator')
+        else if (key === 'n') parameters.negation = value
+        else if (key === 'p') assignParameters(parameters, value)
+        else if (key !== 's' && key !== 'v') throw new RequestDecodeError('Unknown terminal node property: ' + key)
+    })
+
+    if (keys.indexOf('v') !== -1) {
+        parameters.value = (parameters.operator === RANGE && Array.isArray(encoded.v)) ? decodeRange(encoded.v) : encoded.v
+    }
+
+    node.parameters = parameters
+
+    return node
+}
+
+// throw a RequestDecodeError if the query is nested too deeply or has too many nodes
+function checkLimits(state, depth) {
+    if (depth >= MAX_DEPTH) throw new RequestDecodeError('Encoded query is nested more than ' + MAX_DEPTH + ' levels deep')
+    if (++state.count > MAX_NODES) throw new RequestDecodeError('Encoded query has more than ' + MAX_NODES + ' nodes')
+}
+
+// return a copy of a terminal node encoded unchanged, with only the properties of a Search API terminal node
+function decodeRawNode(node) {
+    if (!node || typeof node !== 'object' || Array.isArray(node) || node.type !== TERMINAL) throw new RequestDecodeError('Malformed node')
+
+    const unknown = Object.keys(node).find(key => RAW_TERMINAL_KEYS.indexOf(key) === -1)
+        , result = { type: TERMINAL, service: node.service }
+
+    if (typeof unknown !== 'undefined') throw new RequestDecodeError('Unknown terminal node property: ' + unknown)
+    if (typeof node.node_id !== 'number') throw new RequestDecodeError('Malformed terminal node id')
+
+    result.node_id = node.node_id
+
+    if (typeof node.parameters !== 'undefined') {
+        result.parameters = {}
+        assignParameters(result.parameters, node.parameters)
+    }
+
+    return result
+}
+
+// copy other parameters - '__proto__' would replace the prototype of the parameters object
+function assignParameters(parameters, value) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) throw new RequestDecodeError('Malformed terminal node parameters')
+
+    Object.keys(value).forEach(key => {
+        if (key === '__proto__') throw new RequestDecodeError('Unknown terminal node parameter: ' + key)
+        parameters[key] = value[key]
+    })
+}
+
+function encodeLabel(codes, label) {
+    if (!label) return 0
+    if (LABELS.indexOf(label) !== -1) return -(LABELS.indexOf(label) + 1)
+    return codes.byAttribute[label] || label
+}
+
+function decodeLabel(codes, label) {
+    if (label === 0) return null
+    if (typeof label === 'string') return label
+    if (typeof label !== 'number' || Math.floor(label) !== label) throw new RequestDecodeError('Malformed group node label')
+    if (label < 0) {
+        if (!LABELS[-label - 1]) throw new RequestDecodeError('Unknown label code: ' + label)
+        return LABELS[-label - 1]
+    }
+    return decodeAttribute(codes, label)
+}
+
+function decodeAttribute(codes, attribute) {
+    if (typeof attribute === 'string') return attribute
+    if (codes.byCode[attribute]) return codes.byCode[attribute]
+    if (codes.collisions[attribute]) throw new RequestDecodeError('Ambiguous attribute code: ' + attribute)
+    throw new RequestDecodeError('Unknown attribute code: ' + attribute)
+}
+
+// a code is the position in the list, or the value itself if it is not in the list - decodeRequest rejects such values
+function encodeCode(list, value) {
+    const i = list.indexOf(value)
+    return (i === -1) ? value : i
+}
+
+function decodeCode(list, code, name) {
+    if (typeof code === 'string' && list.indexOf(code) !== -1) return code
+    if (typeof code !== 'number' || !list[code]) throw new RequestDecodeError('Unknown ' + name + ' code: ' + code)
+    return list[code]
+}
+
+// range values with only 'from', 'to', 'include_lower' and 'include_upper' are encoded as [from, to, 1/0, 1/0]
+function encodeRange(value) {
+    if (!value || typeof value !== 'object' || Array.isArray(value) || !hasOnlyKeys(value, RANGE_KEYS)
+        || RANGE_KEYS.some(key => typeof value[key] === 'undefined')) return value
+
+    return [value.from, value.to, value.include_lower ? 1 : 0, value.include_upper ? 1 : 0]
+}
+
+function decodeRange(value) {
+    if (value.length !== 4) throw new RequestDecodeError('Malformed range value')
+    return { from: value[0], to: value[1], include_lower: value[2] === 1, include_upper: value[3] === 1 }
+}
+
+// the schema of 'text' service attributes for a return type - see getSchema in core.js
+function getSchema(return_type) {
+    return (return_type === 'mol_definition') ? 'chemical' : 'structure'
+}
+
+function hasOnlyKeys(o, keys) {
+    return Object.keys(o).every(key => keys.indexOf(key) !== -1)
+}
+
+function getChecksum(s) {
+    return hashString(s).toString(36)
+}
+
+function toBase64Url(s) {
+    const base64 = (typeof Buffer !== 'undefined')
+        ? Buffer.from(s, 'utf8').toString('base64')
+        : btoa(unescape(encodeURIComponent(s)))
+
+    return base64.replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+}
+
+function fromBase64Url(s) {
+    if (!/^[A-Za-z0-9_-]*$/.test(s)) throw new Error('Invalid base64url string')
+
+    const base64 = s.replace(/-/g, '+').replace(/_/g, '/')
+
+    return (typeof Buffer !== 'undefined')
+        ? Buffer.from(base64, 'base64').toString('utf8')
+        : decodeURIComponent(escape(atob(base64)))
+}
@@ -0,0 +1,100 @@
+/*
+ * Error thrown by the async add functions when attribute data cannot be retrieved from the server. The 'code' property
+ * is one of:
+ *
+ *  network:            the request failed, e.g. the server could not be reached
+ *  timeout:            no response within the timeout
+ *  http:               the server responded with an error status - the 'status' property holds the HTTP status
+ *  invalid_response:   the response is not a JSON array of attribute data
+ *
+ * @param {string} message
+ * @param {object} properties: code, status, schema, attributes and cause
+ * @public
+ */
+class AttributeDataError extends Error {
+    constructor(message, properties = {}) {
+        super(message)
+        this.name = 'AttributeDataError'
+        this.code = properties.code
+        this.status = properties.status || null
+        this.schema = properties.schema || null
+        this.attributes = properties.attributes || []
+        if (properties.cause) this.cause = properties.cause
+    }
+}
+
+/*
+ * Error thrown in strict mode when a Search API request fails validation. The 'errors' property holds the list of
+ * errors returned by validateRequest.
+ *
+ * @param {object[]} errors
+ * @public
+ */
+class RequestValidationError extends Error {
+    constructor(errors) {
+        super('Invalid Search API request: ' + errors.map(e => e.path + ' ' + e.message).join('; '))
+        this.name = 'RequestValidationError'
+        this.errors = errors
+    }
+}
+
+/*
+ * Error thrown by decodeRequest when an encoded request is malformed, has been modified, or uses an unknown version or
+ * attribute code, and by SearchRequestState.restore when a serialized state is malformed.
+ *
+ * @param {string} message
+ * @public
+ */
+class RequestDecodeError extends Error {
+    constructor(message) {
+        super(message)
+        this.name = 'RequestDecodeError'
+    }
+}
+
+/*
+ * Error thrown by parseQuery when the query text cannot be parsed. The 'position' property is the zero-based offset of
+ * the error in the text and 'length' the length of the text in error (at least 1), e.g. for underlining it.
+ *
+ * @param {string} message
+ * @param {object} properties: position and length
+ * @public
+ */
+class QueryParseError extends Error {
+    constructor(message, properties = {}) {
+        super(message)
+        this.name = 'QueryParseError'
+        this.position = properties.position || 0
+        this.length = Math.max(properties.length || 0, 1)
+    }
+}
+
+/*
+ * Error thrown when a refinement value cannot be converted to Search API parameters, e.g. a numeric refinement value
+ * that is not a number or a valid range, or a date refinement value that is not a valid date. The 'attribute' and
+ * 'value' properties hold the refinement.
+ *
+ * @param {string} message
+ * @param {object} properties: attribute and value
+ * @public
+ */
+class RefinementValueError extends Error {
+    constructor(message, properties = {}) {
+        super(message)
+        this.name = 'RefinementValueError'
+        this.attribute = properties.attribute || null
+        this.value = properties.value
+    }
+}
+
+/*
+ * Module exports - error classes are not hoisted, so exports follow the class declarations.
+ * @public
+ */
+module.exports = {
+      AttributeDataError
+    , QueryParseError
+    , RefinementValueError
+    , RequestDecodeError
+    , RequestValidationError
+}
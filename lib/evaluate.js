@@ -0,0 +1,239 @@
+const { GROUP, TERMINAL, AND, EXACT_MATCH, IN, RANGE, EQUALS, LESS, LESS_OR_EQUAL, GREATER, GREATER_OR_EQUAL, EXISTS,
+        CONTAINS_WORDS, CONTAINS_PHRASE, LABEL_NESTED_ATTRIBUTE } = require('./constants')
+    , { RequestValidationError } = require('./errors')
+    , { isAttributeNode } = require('./nodes')
+    , { assertValidRequest } = require('./validate')
+
+/*
+ * Module exports.
+ * @public
+ */
+module.exports = {
+    evaluateRequest
+}
+
+const ATTRIBUTE_SERVICES = ['text', 'text_chem']
+    , DATE_ONLY_REGEX = /^\d{4}-\d{2}-\d{2}$/
+    , DAY = 24 * 60 * 60 * 1000
+
+/*
+ * Run a Search API request against in-memory JSON documents, e.g. RCSB entries or chemical components, and return the
+ * ids of the matching documents in document order. This is intended for unit tests and local development, to check
+ * what a request built by addRefinement/addRefinements matches without sending it to the Search API.
+ *
+ * Attributes are paths in the documents, e.g. "rcsb_entity_source_organism.ncbi_scientific_name" - arrays on the path
+ * are searched, and a document matches a terminal node if any of the values at the path matches. The 'text' and
+ * 'text_chem' service operators are supported:
+ *
+ *  exact_match, in:                        the value is equal to (one of) the parameter value(s)
+ *  equals, less, less_or_equal, greater,
+ *  greater_or_equal, range:                numeric or date comparison - a date-only inclusive upper bound, e.g.
+ *                                          "2010-12-31", includes the whole day
+ *  exists:                                 the attribute has a value
+ *  contains_words, contains_phrase:        case-insensitive match of any of the words, or of the phrase
+ *
+ * A terminal node with 'negation: true' matches the documents that the node without negation does not match.
+ *
+ * Nested attribute group nodes ('nested-attribute') and facet filter group nodes are matched within a single nested
+ * object: the nodes must match the same object at the common path of their attributes, e.g. the same
+ * "rcsb_polymer_instance_annotation" object for a lineage id and annotation type. If the first node is negated, the
+ * documents with no such object match.
+ *
+ * The request is validated first. Throws a RequestValidationError if it is invalid, or uses a service other than
+ * 'text' and 'text_chem'.
+ *
+ * options:
+ *
+ *  id:                 the document id - an attribute path, or a function called with the document. The 'rcsb_id'
+ *                      of the document (or its 'id') by default.
+ *  metadataProvider:   metadata used to validate the attributes - see validateRequest
+ *
+ * @param {object} request
+ * @param {object[]} documents
+ * @param {object} options
+ * @public
+ *
+ * Example:
+ *
+ *  const documents = [
+ *      { rcsb_id: '4HHB', exptl: [{ method: 'X-RAY DIFFRACTION' }], rcsb_entry_info: { resolution_combined: [1.74] } },
+ *      { rcsb_id: '6VXX', exptl: [{ method: 'ELECTRON MICROSCOPY' }], rcsb_entry_info: { resolution_combined: [2.8] } }
+ *  ]
+ *
+ *  addRefinements(request, [{ attribute: 'rcsb_entry_info.resolution_combined', values: ['*-2'] }])
+ *  evaluateRequest(request, documents) // ['4HHB']
+ */
+function evaluateRequest(request, documents, options = {}) {
+    assertValidRequest(request, { metadataProvider: options.metadataProvider })
+    assertSupported(request.query, '$.query')
+
+    const getId = getIdFunction(options.id)
+
+    return documents.filter(doc => matchNode(doc, request.query, null)).map(getId)
+}
+
+// private functions
+
+function getIdFunction(id) {
+    if (typeof id === 'function') return id
+    if (typeof id === 'string') return (doc) => getValues(doc, id.split('.'))[0]
+    return (doc) => (typeof doc.rcsb_id !== 'undefined') ? doc.rcsb_id : doc.id
+}
+
+// throw a RequestValidationError for the terminal nodes of services that cannot be evaluated
+function assertSupported(node, path) {
+    const errors = []
+
+    const check = (n, p) => {
+        if (n.type === GROUP) n.nodes.forEach((child, i) => check(child, p + '.nodes[' + i + ']'))
+        else if (ATTRIBUTE_SERVICES.indexOf(n.service) === -1)
+            errors.push({ path: p + '.service', code: 'unsupported_service', message: "service '" + n.service + "' cannot be evaluated" })
+    }
+
+    check(node, path)
+
+    if (errors.length) throw new RequestValidationError(errors)
+}
+
+function matchNode(doc, node, parent) {
+    if (node.type === TERMINAL) return matchTerminalNode(doc, node)
+
+    if (isNestedGroupNode(node, parent)) return matchNestedGroupNode(doc, node)
+
+    return (node.logical_operator === AND)
+        ? node.nodes.every(n => matchNode(doc, n, node))
+        : node.nodes.some(n => matchNode(doc, n, node))
+}
+
+// a nested attribute group node, or a facet filter group node in an attribute group node
+function isNestedGroupNode(node, parent) {
+    if (node.logical_operator !== AND || !node.nodes.every(n => n.type === TERMINAL && n.parameters)) return false
+
+    return node.label === LABEL_NESTED_ATTRIBUTE || (!!parent && isAttributeNode(parent))
+}
+
+/*
+    Match the terminal nodes of a nested group node against each object at the common path of their attributes. The
+    negation of the first node applies to the group node.
+*/
+function matchNestedGroupNode(doc, node) {
+    const paths = node.nodes.map(n => n.parameters.attribute.split('.'))
+        , prefix = getCommonPrefix(paths)
+        , negated = !!node.nodes[0].parameters.negation
+        , objects = getValues(doc, prefix)
+
+    const match = objects.some(o => node.nodes.every((n, i) => {
+        const parameters = (i === 0) ? Object.assign({}, n.parameters, { negation: false }) : n.parameters
+        return matchParameters(getValues(o, paths[i].slice(prefix.length)), parameters)
+    }))
+
+    return negated ? !match : match
+}
+
+// return the common leading path segments, excluding the last segment of each path
+function getCommonPrefix(paths) {
+    const prefix = []
+        , length = Math.min(...paths.map(p => p.length - 1))
+
+    for (let i = 0; i < length && paths.every(p => p[i] === paths[0][i]); i++) prefix.push(paths[0][i])
+
+    return prefix
+}
+
+function matchTerminalNode(doc, node) {
+    if (!node.parameters) return true // a text service terminal node without parameters matches all documents
+
+    return matchParameters(getValues(doc, node.parameters.attribute.split('.')), node.parameters)
+}
+
+function matchParameters(values, parameters) {
+    const match = matchValues(values, parameters)
+    return parameters.negation ? !match : match
+}
+
+function matchValues(values, { operator, value }) {
+    switch (operator) {
+        case EXISTS:
+            return values.length > 0
+        case EXACT_MATCH:
+            return values.some(v => isSameValue(v, value))
+        case IN:
+            return values.some(v => value.some(w => isSameValue(v, w)))
+        case EQUALS:
+            return values.some(v => compare(v, value) === 0)
+        case LESS:
+            return values.some(v => compare(v, value) < 0)
+        case LESS_OR_EQUAL:
+            return values.some(v => compare(v, value, true) <= 0)
+        case GREATER:
+            return values.some(v => compare(v, value, true) > 0)
+        case GREATER_OR_EQUAL:
+            return values.some(v => compare(v, value) >= 0)
+        case RANGE:
+            return values.some(v => isInRange(v, value))
+        case CONTAINS_WORDS: {
+            const words = getWords(value)
+            return values.some(v => getWords(v).some(w => words.indexOf(w) !== -1))
+        }
+        case CONTAINS_PHRASE: {
+            const phrase = getWords(value).join(' ')
+            return values.some(v => (' ' + getWords(v).join(' ') + ' ').indexOf(' ' + phrase + ' ') !== -1)
+        }
+        default:
+            return false
+    }
+}
+
+// return the values at a path, searching arrays - null and undefined values are omitted
+function getValues(o, path) {
+    if (o === null || typeof o === 'undefined') return []
+    if (Array.isArray(o)) return o.reduce((values, item) => values.concat(getValues(item, path)), [])
+    if (path.length === 0) return [o]
+    if (typeof o !== 'object') return []
+
+    return getValues(o[path[0]], path.slice(1))
+}
+
+function isSameValue(a, b) {
+    return a === b || String(a) === String(b)
+}
+
+function isInRange(v, { from, to, include_lower, include_upper }) {
+    if (typeof from !== 'undefined') {
+        const c = compare(v, from)
+        if (Number.isNaN(c) || c < 0 || (c === 0 && include_lower === false)) return false
+    }
+
+    if (typeof to !== 'undefined') {
+        const c = compare(v, to, include_upper !== false)
+        if (Number.isNaN(c) || c > 0 || (c === 0 && include_upper === false)) return false
+    }
+
+    return true
+}
+
+/*
+    Compare a document value with a parameter value, as numbers or as dates - returns a negative number, 0 or a positive
+    number, or NaN if the values cannot be compared. If 'endOfDay' is true, a date-only parameter value is the end of
+    that day, so an inclusive upper bound of "2010-12-31" includes all of 31 December.
+*/
+function compare(v, bound, endOfDay = false) {
+    if (typeof bound === 'number') return toNumber(v) - bound
+
+    const date = Date.parse(bound)
+        , end = (endOfDay && DATE_ONLY_REGEX.test(bound)) ? date + DAY - 1 : date
+        , t = (typeof v === 'string') ? Date.parse(v) : NaN
+
+    if (Number.isNaN(t)) return NaN
+    if (t > date && t <= end) return 0
+
+    return t - date
+}
+
+function toNumber(v) {
+    return (typeof v === 'number') ? v : (typeof v === 'string' && v.trim() !== '') ? Number(v) : NaN
+}
+
+function getWords(s) {
+    return String(s).toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(w => w.length > 0)
+}
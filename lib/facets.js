@@ -0,0 +1,349 @@
+const { BUCKET_INTERVAL, BUCKET_YEAR, BUCKET_MONTH, EQUALS, LESS, LESS_OR_EQUAL, GREATER, GREATER_OR_EQUAL,
+        RANGE } = require('./constants')
+    , { attributeTypes: defaultAttributeTypes } = require('./attribute-types')
+    , { createContext } = require('./context')
+    , { addDateInterval, formatDate, isDateBucket, parseDate } = require('./dates')
+    , { RefinementValueError } = require('./errors')
+    , { getRefinements } = require('./get-refinements')
+    , { setParameters } = require('./parameters')
+    , { parseRange } = require('./ranges')
+    , { isEqual } = require('./utils')
+
+/*
+ * Module exports.
+ * @public
+ */
+module.exports = {
+      facetsToRefinementOptions
+    , getRefinementFacets
+}
+
+const DAY = 24 * 60 * 60 * 1000
+
+/*
+ * Return the refinement panel options for the facets in a Search API response. Facet buckets are converted to the
+ * refinement values accepted by addRefinements, as determined by the attribute type (see createAttributeTypeRegistry):
+ *
+ *  keyword, text:      the bucket label, e.g. "X-RAY DIFFRACTION"
+ *  number, integer:    the numeric interval of a histogram bucket, e.g. "0.5-1" - the interval is read from the facet
+ *                      in 'request.request_options' with the same name
+ *  date:               the start of a date range of 'span' years, months or days (the attribute type 'bucket'), e.g.
+ *                      "2010", "2010-03" or "2010-03-15" - the buckets of a date histogram are merged into ranges
+ *                      starting at a multiple of 'span' (years since year 0, months since January of year 0, or
+ *                      days since 1970-01-01), and their counts added
+ *
+ * Each option has the refinement 'value', a display 'label' (with the attribute units from the metadata for numeric
+ * attributes), the number of results 'count', and whether the value is 'selected' (included) or 'excluded' in the
+ * request. Values selected in the request but missing from the response are added with a count of 0, so the panel
+ * always shows the refinements of the query.
+
+    [
+        {
+            name: "rcsb_entry_info.resolution_combined",
+            attribute: "rcsb_entry_info.resolution_combined",
+            options: [
+                { value: "0.5-1", label: "0.5 - 1 Å", count: 152, selected: true, excluded: false },
+                { value: "1-1.5", label: "1 - 1.5 Å", count: 3041, selected: false, excluded: false }
+            ]
+        }
+    ]
+
+ * The attribute of a facet is read from the facet definitions in 'request.request_options', including those in
+ * filter facets, or is the facet name if there is no definition.
+ *
+ * options:
+ *
+ *  metadataProvider:   metadata used for attribute types and units - see createSearchRequestTools. If not set, the
+ *                      global 'metadata' object is used if it exists.
+ *  attributeTypes:     attribute type registry - the default registry if not set
+ *
+ * @param {object} response
+ * @param {object} request
+ * @param {object} options
+ * @public
+ */
+function facetsToRefinementOptions(response, request, options = {}) {
+    const state = getState(request, options)
+        , definitions = getFacetDefinitions((request && request.request_options && request.request_options.facets) || [])
+        , selections = request && request.query ? getSelections(request, { attributeTypes: state.attributeTypes, now: options.now }) : {}
+
+    return getResponseFacets((response && response.facets) || []).map(facet => {
+        const definition = definitions[facet.name] || {}
+            , attribute = definition.attribute || facet.name
+            , attrObj = getAttrObj(state, attribute)
+            , attributeType = state.attributeTypes.get(attribute, attrObj)
+            , refinementOptions = getOptions(facet.buckets || [], attributeType, definition)
+                .map(({ value, count }) => ({ value, label: getLabel(value, attributeType, attrObj), count, selected: false, excluded: false }))
+
+        setSelected(refinementOptions, selections[attribute] || [], attribute, attributeType, attrObj)
+
+        return { name: facet.name, attribute, options: refinementOptions }
+    })
+}
+
+/*
+ * Return the facet definitions for the refinement panel attributes, to be added to a request with addFacet. The
+ * aggregation type matches the values returned by facetsToRefinementOptions:
+ *
+ *  keyword, text:      'terms'
+ *  number, integer:    'histogram' - the 'interval' is taken from the attribute, the attribute type, or 1
+ *  date:               'date_histogram' with the 'year', 'month' or 'day' interval of the attribute type bucket
+ *
+ * An attribute with a facet filter in the metadata is wrapped in a filter facet, so the counts match the refinement
+ * nodes added by addRefinements. Attributes are passed as names, or as { attribute, name, interval,
+ * min_interval_population, max_num_intervals } objects. Empty buckets are omitted ('min_interval_population' is 1).
+ *
+ * options:
+ *
+ *  result_type:        the return type of the request - attributes are read from the 'chemical' metadata for
+ *                      'mol_definition', otherwise from the 'structure' metadata
+ *  metadataProvider:   see facetsToRefinementOptions
+ *  attributeTypes:     see facetsToRefinementOptions
+ *
+ * @param {object[]} attributes
+ * @param {object} options
+ * @public
+ *
+ * Example:
+ *
+ *  getRefinementFacets(['exptl.method', { attribute: 'rcsb_entry_info.resolution_combined', interval: 0.5 }])
+ *      .forEach(facet => addFacet(request, facet))
+ */
+function getRefinementFacets(attributes, options = {}) {
+    const state = getState({ return_type: options.result_type }, options)
+
+    return attributes.map(a => {
+        const spec = (typeof a === 'string') ? { attribute: a } : a
+            , { attribute } = spec
+            , attrObj = getAttrObj(state, attribute)
+            , attributeType = state.attributeTypes.get(attribute, attrObj)
+            , facet = { name: spec.name || attribute, aggregation_type: 'terms', attribute }
+            , facetFilter = state.metadata && state.metadata.facetFilters && state.metadata.facetFilters[attribute]
+
+        if (attributeType.bucket === BUCKET_INTERVAL) {
+            facet.aggregation_type = 'histogram'
+            facet.interval = spec.interval || attributeType.interval || 1
+        } else if (isDateBucket(attributeType.bucket)) {
+            facet.aggregation_type = 'date_histogram'
+            facet.interval = attributeType.bucket
+        }
+
+        facet.min_interval_population = (typeof spec.min_interval_population !== 'undefined') ? spec.min_interval_population : 1
+        if (facet.aggregation_type === 'terms' && typeof spec.max_num_intervals !== 'undefined') facet.max_num_intervals = spec.max_num_intervals
+
+        return facetFilter ? { filter: facetFilter, facets: [facet] } : facet
+    })
+}
+
+// private functions
+
+function getState(request, options) {
+    const schema = (request && request.return_type === 'mol_definition') ? 'chemical' : 'structure'
+
+    return {
+          metadata: createContext({ metadataProvider: options.metadataProvider }).findMetadata(schema)
+        , attributeTypes: options.attributeTypes || defaultAttributeTypes
+    }
+}
+
+function getAttrObj(state, attribute) {
+    return (state.metadata && state.metadata.uiAttrMap[attribute]) || null
+}
+
+// return the facet definitions of a request keyed by name, including those in filter facets
+function getFacetDefinitions(facets, definitions = {}) {
+    facets.forEach(facet => {
+        if (!facet) return
+        if (Array.isArray(facet.facets) && facet.filter) getFacetDefinitions(facet.facets, definitions)
+        else if (facet.name) definitions[facet.name] = facet
+    })
+
+    return definitions
+}
+
+// return the facets of a response, including facets nested in filter facet results
+function getResponseFacets(facets, result = []) {
+    facets.forEach(facet => {
+        if (!facet) return
+        if (Array.isArray(facet.buckets)) result.push(facet)
+        if (Array.isArray(facet.facets)) getResponseFacets(facet.facets, result)
+    })
+
+    return result
+}
+
+// return the { value, count } options for the buckets of a facet
+function getOptions(buckets, attributeType, definition) {
+    if (isDateBucket(attributeType.bucket)) return getDateOptions(buckets, attributeType.bucket, attributeType.span || 1)
+
+    return buckets.map(bucket => {
+        const value = (attributeType.bucket === BUCKET_INTERVAL)
+            ? getIntervalValue(bucket.label, definition.interval || attributeType.interval)
+            : String(bucket.label)
+
+        return { value, count: bucket.population || 0 }
+    })
+}
+
+/*
+    Return the refinement value for a histogram bucket. The bucket label is the lower bound of the interval, or an
+    interval such as "0.5-1.0" which is returned as is. Without an interval, the label is returned as a single value.
+*/
+function getIntervalValue(label, interval) {
+    const s = String(label)
+        , range = parseRange(s)
+
+    if (!range || range.operator !== EQUALS || !interval) return s
+
+    return formatNumber(range.value) + '-' + formatNumber(range.value + interval)
+}
+
+// merge date histogram buckets into ranges of 'span' years, months or days starting at a multiple of 'span'
+function getDateOptions(buckets, dateBucket, span) {
+    const options = []
+        , byStart = {}
+
+    buckets.forEach(bucket => {
+        const date = getBucketDate(bucket.label)
+
+        if (!date) return
+
+        const start = getDateRangeStart(date, dateBucket, span)
+
+        if (!byStart[start]) {
+            byStart[start] = { value: start, count: 0 }
+            options.push(byStart[start])
+        }
+
+        byStart[start].count += bucket.population || 0
+    })
+
+    return options
+}
+
+// the UTC date of a date histogram bucket label - a date string such as "2010-01-01" or a timestamp in milliseconds
+function getBucketDate(label) {
+    const date = (typeof label === 'number') ? new Date(label) : new Date(Date.parse(String(label).slice(0, 10)))
+    return isNaN(date.getTime()) ? null : date
+}
+
+// return the refinement value of the 'span' year, month or day range containing a date
+function getDateRangeStart(date, dateBucket, span) {
+    if (dateBucket === BUCKET_YEAR) return String(Math.floor(date.getUTCFullYear() / span) * span)
+
+    if (dateBucket === BUCKET_MONTH) {
+        const month = Math.floor((date.getUTCFullYear() * 12 + date.getUTCMonth()) / span) * span
+        return formatDate(new Date(Date.UTC(Math.floor(month / 12), month % 12, 1))).substring(0, 7)
+    }
+
+    const day = Math.floor(Math.floor(date.getTime() / DAY) / span) * span
+
+    return formatDate(new Date(day * DAY))
+}
+
+// avoid floating point noise such as 0.30000000000000004 in interval bounds
+function formatNumber(n) {
+    return String(parseFloat(n.toFixed(10)))
+}
+
+function getLabel(value, attributeType, attrObj) {
+    const units = (attrObj && attrObj.units) ? ' ' + attrObj.units : ''
+
+    if (isDateBucket(attributeType.bucket)) return getDateLabel(value, attributeType)
+
+    if (attributeType.bucket === BUCKET_INTERVAL) {
+        const range = parseRange(value)
+
+        if (!range) return value
+
+        switch (range.operator) {
+            case LESS: return '< ' + range.value + units
+            case LESS_OR_EQUAL: return '≤ ' + range.value + units
+            case GREATER: return '> ' + range.value + units
+            case GREATER_OR_EQUAL: return '≥ ' + range.value + units
+            case RANGE: {
+                const { from, to, include_lower, include_upper } = range.value
+
+                // bounds other than the histogram bucket bounds - including the lower and excluding the upper - are shown
+                if (include_lower && !include_upper) return from + ' - ' + to + units
+                return (include_lower ? '[' : '(') + from + ', ' + to + (include_upper ? ']' : ')') + units
+            }
+        }
+
+        return range.value + units
+    }
+
+    return value
+}
+
+/*
+    Return the label of a date refinement value - the value for a single year, month or day, the first and last year,
+    month or day of a longer range, or the bounds of an open-ended or ISO date range.
+*/
+function getDateLabel(value, attributeType) {
+    if (value.startsWith('*-')) return '< ' + value.slice(2)
+    if (value.endsWith('-*')) return '≥ ' + value.slice(0, -2)
+    if (value.indexOf('/') !== -1) return value.split('/').map(v => (v === '*') ? '…' : v).join(' - ')
+
+    const span = attributeType.span || 1
+        , date = parseDate(value, Date.now)
+
+    if (!date || date.relative || span === 1) return value
+
+    const last = addDateInterval(date.date, attributeType.bucket, span - 1)
+        , length = (attributeType.bucket === BUCKET_YEAR) ? 4 : (attributeType.bucket === BUCKET_MONTH) ? 7 : 10
+
+    return value + ' - ' + formatDate(last).substring(0, length)
+}
+
+// return the selected values of the request keyed by attribute - [{ value, exclude }]
+function getSelections(request, options) {
+    const { refinements, facetFilterRefinements, nestedAttributeRefinements } = getRefinements(request, options)
+        , selections = {}
+
+    refinements.concat(facetFilterRefinements, nestedAttributeRefinements).forEach(refinement => {
+        const { attribute, values, exclude } = refinement
+
+        if (!selections[attribute]) selections[attribute] = []
+
+        values.forEach(value => {
+            if (!Array.isArray(value)) selections[attribute].push({ value, exclude: !!exclude })
+        })
+    })
+
+    return selections
+}
+
+/*
+    Mark the options selected or excluded in the request. Values are compared as Search API parameters, so "0.5-1.0"
+    matches "0.5-1". Selected values without an option are added with a count of 0.
+*/
+function setSelected(options, selected, attribute, attributeType, attrObj) {
+    const toParameters = (value) => {
+        try {
+            const { operator, value: v } = setParameters(attribute, value, attributeType)
+            return { operator, value: v }
+        } catch (err) {
+            // a value that is not valid for the attribute type is compared as is
+            if (err instanceof RefinementValueError) return { operator: null, value }
+            throw err
+        }
+    }
+    const parameters = options.map(option => toParameters(option.value))
+
+    selected.forEach(({ value, exclude }) => {
+        const p = toParameters(value)
+            , i = parameters.findIndex(o => isEqual(o, p))
+
+        let option = options[i]
+
+        if (i === -1) {
+            option = { value: String(value), label: getLabel(String(value), attributeType, attrObj), count: 0, selected: false, excluded: false }
+            options.push(option)
+            parameters.push(p)
+        }
+
+        if (exclude) option.excluded = true
+        else option.selected = true
+    })
+}
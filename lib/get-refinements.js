@@ -0,0 +1,188 @@
+const { GROUP, TERMINAL, AND, LABEL_NESTED_ATTRIBUTE, LABEL_SERVICE_REFINEMENTS, MATCH_ALL } = require('./constants')
+    , { attributeTypes: defaultAttributeTypes } = require('./attribute-types')
+    , { isAttributeNode } = require('./nodes')
+    , { getRefinementValues } = require('./parameters')
+    , { isEqual } = require('./utils')
+
+/*
+ * Module exports.
+ * @public
+ */
+module.exports = {
+    getRefinements
+}
+
+/*
+ * Return the refinements in an existing Search API request. This is the inverse of addRefinement/addRefinements and
+ * is typically used to set the state of the Search UI Refinement panel when a saved or shared request is loaded.
+ *
+ * Refinements are returned in the format accepted by addRefinements, grouped by the shape of the refinement nodes:
+ *
+ *  refinements:                plain terminal nodes, as set by setAttributeNode
+ *  facetFilterRefinements:     group nodes with a facet filter, as set by setFacetFilterAttributeNode - each
+ *                              refinement includes the 'facetFilter' node
+ *  nestedAttributeRefinements: nested attribute group nodes - each refinement includes the 'nestedAttribute'
+ *                              parameters (a list of parameters for more than one nested attribute condition), so the
+ *                              same attribute may appear once for each set of nested attribute values
+ *  serviceRefinements:         'sequence', 'seqmotif', 'structure', 'chemical' and 'full_text' refinement nodes -
+ *                              each refinement has a 'service' instead of an 'attribute', and the other 'parameters'
+ *
+ * Example return value:
+
+    {
+        refinements: [
+            {
+                attribute: "rcsb_entry_info.resolution_combined",
+                values: [
+                    "*-0.5",
+                    "0.5-1"
+                ]
+            }
+        ],
+        facetFilterRefinements: [],
+        nestedAttributeRefinements: [
+            {
+                attribute: "rcsb_polymer_instance_annotation.annotation_lineage.id",
+                values: [
+                    "2"
+                ],
+                nestedAttribute: {
+                    attribute: "rcsb_polymer_instance_annotation.type",
+                    operator: "exact_match",
+                    value: "CATH"
+                }
+            }
+        ],
+        serviceRefinements: [
+            {
+                service: "sequence",
+                values: [
+                    "MVLSPADKTNVKAAWGKVGAHAGEYGAEALERMFLSFPTTKTYFPHF"
+                ],
+                parameters: {
+                    evalue_cutoff: 0.1,
+                    identity_cutoff: 0.9,
+                    sequence_type: "protein"
+                }
+            }
+        ]
+    }
+
+ * Values from multiple refinement nodes for the same attribute are merged. Excluded values ('negation' nodes) are
+ * returned in a separate refinement for the attribute with 'exclude: true', as accepted by addRefinements. Included
+ * values combined with 'and' - see the 'match' of addRefinements - are returned with 'match: "all"'.
+ *
+ * options:
+ *
+ *  attributeTypes:     attribute type registry used to return date ranges as refinement values - the default
+ *                      registry if not set
+ *  now:                function returning the current time - see createSearchRequestTools
+ *
+ * @param {object} request
+ * @param {object} options
+ * @public
+*/
+function getRefinements(request, options = {}) {
+    const state = { attributeTypes: options.attributeTypes || defaultAttributeTypes, now: options.now }
+        , result = {
+          refinements: []
+        , facetFilterRefinements: []
+        , nestedAttributeRefinements: []
+        , serviceRefinements: []
+    }
+
+    getAttributeNodes(request.query).forEach(attributeNode => {
+        const attribute = attributeNode.label
+            , match = (attributeNode.logical_operator === AND) ? MATCH_ALL : null
+
+        attributeNode.nodes.forEach(node => {
+            if (node.type === TERMINAL) {
+                addValues(state, result.refinements, { attribute, match }, node.parameters)
+            } else if (node.label === LABEL_NESTED_ATTRIBUTE) {
+                addValues(state, result.nestedAttributeRefinements, { attribute, match, nestedAttribute: getNestedAttribute(node) }, node.nodes[0].parameters)
+            } else {
+                addValues(state, result.facetFilterRefinements, { attribute, match, facetFilter: node.nodes[1] }, node.nodes[0].parameters)
+            }
+        })
+    })
+
+    getServiceRefinementNodes(request.query).forEach(serviceRefinementsNode => {
+        serviceRefinementsNode.nodes.forEach(node => {
+            if (node.type === TERMINAL && node.parameters) addServiceValue(result.serviceRefinements, node)
+        })
+    })
+
+    return result
+}
+
+// private functions
+
+// return all service refinement group nodes below 'node'
+function getServiceRefinementNodes(node, serviceRefinementsNodes = []) {
+    if (!node || node.type !== GROUP) return serviceRefinementsNodes
+
+    if (node.label === LABEL_SERVICE_REFINEMENTS) serviceRefinementsNodes.push(node)
+    else node.nodes.forEach(n => getServiceRefinementNodes(n, serviceRefinementsNodes))
+
+    return serviceRefinementsNodes
+}
+
+// return all attribute group nodes below 'node' - see isAttributeNode
+function getAttributeNodes(node, attributeNodes = []) {
+    if (!node || node.type !== GROUP) return attributeNodes
+
+    if (isAttributeNode(node)) attributeNodes.push(node)
+    else node.nodes.forEach(n => getAttributeNodes(n, attributeNodes))
+
+    return attributeNodes
+}
+
+// return the parameters of the nested attribute node of a nested attribute group node, or a list for multiple nodes
+function getNestedAttribute(node) {
+    const qualifiers = node.nodes.slice(1).map(n => n.parameters)
+    return (qualifiers.length === 1) ? qualifiers[0] : qualifiers
+}
+
+/*
+    Add the refinement values for 'parameters' to the matching refinement in 'list', creating it if necessary. The
+    'match' only applies to included values - excluded values are always combined with 'and'.
+*/
+function addValues(state, list, properties, parameters) {
+    const { attribute, nestedAttribute, facetFilter } = properties
+        , exclude = !!parameters.negation
+        , match = exclude ? null : properties.match
+
+    let refinement = list.find(r => r.attribute === attribute
+        && !!r.exclude === exclude
+        && (r.match || null) === match
+        && isEqual(r.nestedAttribute, nestedAttribute)
+        && isEqual(r.facetFilter, facetFilter))
+
+    if (!refinement) {
+        refinement = { attribute, values: [] }
+        if (nestedAttribute) refinement.nestedAttribute = nestedAttribute
+        if (facetFilter) refinement.facetFilter = facetFilter
+        if (exclude) refinement.exclude = true
+        if (match) refinement.match = match
+        list.push(refinement)
+    }
+
+    getRefinementValues(parameters, state.attributeTypes.get(attribute), { now: state.now }).forEach(value => {
+        if (!refinement.values.some(v => isEqual(v, value))) refinement.values.push(value)
+    })
+}
+
+// add the value of a service terminal node to the refinement for its service and other parameters
+function addServiceValue(list, node) {
+    const { service } = node
+        , { value, ...parameters } = node.parameters
+
+    let refinement = list.find(r => r.service === service && isEqual(r.parameters, parameters))
+
+    if (!refinement) {
+        refinement = { service, values: [], parameters }
+        list.push(refinement)
+    }
+
+    if (!refinement.values.some(v => isEqual(v, value))) refinement.values.push(value)
+}
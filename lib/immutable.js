@@ -0,0 +1,52 @@
+const { deepClone, isEqual } = require('./utils')
+
+/*
+ * Module exports.
+ * @private
+ */
+module.exports = {
+    produce
+}
+
+/*
+ * Apply the mutating function 'mutate' to a copy of 'request' and return the new request. The input request is not
+ * modified. Subtrees of the new request that are unchanged are replaced by the corresponding subtrees of the input
+ * request, so that unchanged nodes keep their identity (e.g. for React/Redux state).
+ *
+ * If 'mutate' returns a promise, a promise resolving to the new request is returned.
+ *
+ * @param {object} request
+ * @param {function} mutate
+ * @private
+ */
+function produce(request, mutate) {
+    const copy = deepClone(request)
+        , result = mutate(copy)
+
+    if (result && typeof result.then === 'function') return result.then(() => share(copy, request))
+
+    return share(copy, request)
+}
+
+// private functions
+
+// return 'next' with every value deeply equal to the corresponding value of 'prev' replaced by the 'prev' value
+function share(next, prev) {
+    if (isEqual(next, prev)) return prev
+    if (typeof next !== 'object' || next === null || typeof prev !== 'object' || prev === null) return next
+
+    if (Array.isArray(next)) {
+        if (!Array.isArray(prev)) return next
+
+        return next.map((item, i) => {
+            const match = prev.find(p => isEqual(item, p)) // nodes may have moved, e.g. after a removal
+            return (typeof match !== 'undefined') ? match : share(item, prev[i])
+        })
+    }
+
+    Object.keys(next).forEach(key => {
+        if (Object.prototype.hasOwnProperty.call(prev, key)) next[key] = share(next[key], prev[key])
+    })
+
+    return next
+}
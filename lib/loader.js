@@ -0,0 +1,320 @@
+const { AttributeDataError } = require('./errors')
+
+/*
+ * Module exports.
+ * @private
+ */
+module.exports = {
+    createAttributeDataLoader
+}
+
+const ATTRIBUTE_DATA_PATH = '/search/attribute-data'
+
+/*
+ * Return a loader for attribute data ({ attrObj, facetFilter }) retrieved from the server. Attribute data is cached
+ * per schema and attribute. Attributes requested while a request for them is in flight wait for that request, and
+ * attributes requested for the same schema within 'batchDelay' are retrieved in a single request.
+ *
+ * options:
+ *
+ *  fetch:              fetch function - required
+ *  cache:              Map-like object (get, set, has, delete, clear) used to cache attribute data. The loader keeps
+ *                      track of the keys it caches, so 'keys' is not required to invalidate a schema.
+ *  baseUrl:            base URL of the server, e.g. 'https://www.rcsb.org' - relative to the page by default
+ *  headers:            additional request headers
+ *  timeout:            request timeout in milliseconds - 10000 by default, 0 for no timeout
+ *  retries:            number of times a request is retried after a network error, timeout or server error (5xx or
+ *                      429) - 2 by default
+ *  retryDelay:         delay before the first retry in milliseconds, doubled for each further retry - 250 by default
+ *  ttl:                time in milliseconds that attribute data is cached for - 0 (the default) caches it until it is
+ *                      invalidated
+ *  batchDelay:         time in milliseconds to wait for further attributes before sending a request - 0 by default
+ *  fallbackMetadata:   metadata keyed by schema, e.g. { structure: { uiAttrMap, facetFilters } }, used if the server
+ *                      cannot be reached. Attribute data from the fallback metadata is not cached.
+ *
+ * @param {object} options
+ * @private
+ */
+function createAttributeDataLoader(options = {}) {
+    const settings = Object.assign({
+              cache: new Map()
+            , baseUrl: ''
+            , headers: {}
+            , timeout: 10000
+            , retries: 2
+            , retryDelay: 250
+            , ttl: 0
+            , batchDelay: 0
+            , fallbackMetadata: null
+        }, removeUndefined(options))
+        , state = {
+              settings
+            , inFlight: new Map() // cache key -> promise of attribute data
+            , batches: new Map()  // schema -> batch waiting to be sent
+            , cachedKeys: new Map() // schema -> set of the cache keys of the attribute data cached by the loader
+            , epoch: 0              // incremented by each invalidation
+            , invalidated: new Map() // cache key, schema or '' for all schemas -> epoch of its last invalidation
+        }
+
+    return {
+          load: (schema, attributes) => load(state, schema, attributes)
+        , get: (schema, attribute) => getCached(state, schema, attribute)
+        , invalidate: (schema, attributes) => invalidate(state, schema, attributes)
+    }
+}
+
+// private functions
+
+// return the attribute cache key - attribute data is cached per schema
+function getCacheKey(schema, attribute) {
+    return schema + ':' + attribute
+}
+
+// return a promise of an object of attribute data keyed by attribute
+async function load(state, schema, attributes) {
+    const result = {}
+
+    await Promise.all(unique(attributes).map(attribute => {
+        const key = getCacheKey(schema, attribute)
+            , cached = getCached(state, schema, attribute)
+
+        if (cached) {
+            result[attribute] = cached
+            return null
+        }
+
+        if (!state.inFlight.has(key)) {
+            const promise = enqueue(state, schema, attribute)
+            // an invalidation may have replaced the entry with a newer request
+            const done = () => { if (state.inFlight.get(key) === promise) state.inFlight.delete(key) }
+
+            state.inFlight.set(key, promise)
+            promise.then(done, done)
+        }
+
+        return state.inFlight.get(key).then(data => { result[attribute] = data })
+    }))
+
+    return result
+}
+
+// return cached attribute data, or undefined if it is not cached or has expired
+function getCached(state, schema, attribute) {
+    const { cache } = state.settings
+        , key = getCacheKey(schema, attribute)
+        , entry = cache.get(key)
+
+    if (!entry) return undefined
+
+    if (entry.expires && entry.expires <= Date.now()) {
+        cache.delete(key)
+        return undefined
+    }
+
+    return { attrObj: entry.attrObj, facetFilter: entry.facetFilter }
+}
+
+/*
+    Remove cached attribute data - for the attributes of a schema, for all attributes of a schema, or for all schemas.
+    The keys of a schema are those cached by the loader, and those of the cache if it has 'keys'. A cache without
+    'delete' is not modified. Requests in flight for the attribute data are dropped, and their responses are not
+    cached, so the next load retrieves the attribute data again.
+*/
+function invalidate(state, schema, attributes) {
+    const { cache } = state.settings
+        , epoch = ++state.epoch
+
+    if (!schema) {
+        state.invalidated.set('', epoch)
+        state.inFlight.clear()
+        state.cachedKeys.clear()
+        if (typeof cache.clear === 'function') cache.clear()
+        return
+    }
+
+    const prefix = getCacheKey(schema, '')
+        , cachedKeys = state.cachedKeys.get(schema) || new Set()
+        , keys = attributes
+            ? attributes.map(attribute => getCacheKey(schema, attribute))
+            : Array.from(cachedKeys).concat(typeof cache.keys === 'function'
+                ? Array.from(cache.keys()).filter(key => typeof key === 'string' && key.indexOf(prefix) === 0) : [])
+
+    if (attributes) keys.forEach(key => state.invalidated.set(key, epoch))
+    else state.invalidated.set(prefix, epoch)
+
+    Array.from(state.inFlight.keys()).filter(key => attributes ? keys.indexOf(key) !== -1 : key.indexOf(prefix) === 0)
+        .forEach(key => state.inFlight.delete(key))
+
+    keys.forEach(key => cachedKeys.delete(key))
+
+    if (typeof cache.delete === 'function') keys.forEach(key => cache.delete(key))
+}
+
+// return true if the attribute data for a cache key was invalidated after 'epoch'
+function isInvalidatedSince(state, schema, key, epoch) {
+    return [key, getCacheKey(schema, ''), ''].some(k => (state.invalidated.get(k) || 0) > epoch)
+}
+
+// add an attribute to the batch for its schema, and return a promise of its attribute data
+function enqueue(state, schema, attribute) {
+    let batch = state.batches.get(schema)
+
+    if (!batch) {
+        batch = { attributes: [] }
+        batch.promise = new Promise(resolve => {
+            setTimeout(() => {
+                state.batches.delete(schema)
+                resolve(send(state, schema, batch.attributes))
+            }, state.settings.batchDelay)
+        })
+        state.batches.set(schema, batch)
+    }
+
+    batch.attributes.push(attribute)
+
+    return batch.promise.then(data => data[attribute])
+}
+
+// retrieve and cache attribute data, or read it from the fallback metadata if the server cannot be reached
+async function send(state, schema, attributes) {
+    const { cache, ttl, fallbackMetadata } = state.settings
+        , epoch = state.epoch
+        , result = {}
+
+    let items
+
+    try {
+        items = await requestWithRetry(state, schema, attributes)
+    } catch (err) {
+        if (!isRetryable(err) || !fallbackMetadata || !fallbackMetadata[schema]) throw err
+
+        // either map may be missing, e.g. metadata with only a uiAttrMap
+        const uiAttrMap = fallbackMetadata[schema].uiAttrMap || {}
+            , facetFilters = fallbackMetadata[schema].facetFilters || {}
+
+        attributes.forEach(attribute => {
+            result[attribute] = { attrObj: uiAttrMap[attribute] || null, facetFilter: facetFilters[attribute] || null }
+        })
+
+        return result
+    }
+
+    // attributes missing from the response have no attribute data
+    attributes.forEach(attribute => { result[attribute] = { attrObj: null, facetFilter: null } })
+    items.forEach(item => {
+        if (item && attributes.indexOf(item.attribute) !== -1)
+            result[item.attribute] = { attrObj: item.attrObj || null, facetFilter: item.facetFilter || null }
+    })
+
+    attributes.forEach(attribute => {
+        const key = getCacheKey(schema, attribute)
+            , entry = Object.assign({}, result[attribute])
+
+        // attribute data invalidated while the request was in flight may be out of date
+        if (isInvalidatedSince(state, schema, key, epoch)) return
+
+        if (ttl) entry.expires = Date.now() + ttl
+        cache.set(key, entry)
+
+        if (!state.cachedKeys.has(schema)) state.cachedKeys.set(schema, new Set())
+        state.cachedKeys.get(schema).add(key)
+    })
+
+    return result
+}
+
+async function requestWithRetry(state, schema, attributes) {
+    const { retries, retryDelay } = state.settings
+
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await request(state, schema, attributes)
+        } catch (err) {
+            if (attempt >= retries || !isRetryable(err)) throw err
+            await sleep(retryDelay * Math.pow(2, attempt))
+        }
+    }
+}
+
+// POST a request for the attribute data of 'attributes', and return the list of attribute data in the response
+async function request(state, schema, attributes) {
+    const { fetch, baseUrl, headers, timeout } = state.settings
+        , url = baseUrl.replace(/\/+$/, '') + ATTRIBUTE_DATA_PATH
+        , controller = (typeof AbortController !== 'undefined') ? new AbortController() : null
+        , fetchOptions = {
+              method: 'POST'
+            , headers: Object.assign({ 'Content-Type': 'application/json' }, headers)
+            , body: JSON.stringify({ attributes, schema })
+        }
+        , properties = { schema, attributes }
+
+    if (controller) fetchOptions.signal = controller.signal
+
+    let timer
+
+    const timeoutPromise = new Promise((resolve, reject) => {
+        if (!timeout) return
+        timer = setTimeout(() => {
+            if (controller) controller.abort()
+            reject(new AttributeDataError('Attribute data request timed out after ' + timeout + 'ms',
+                Object.assign({ code: 'timeout' }, properties)))
+        }, timeout)
+    })
+
+    const getData = async () => {
+        let response
+
+        try {
+            response = await fetch(url, fetchOptions)
+        } catch (err) {
+            throw new AttributeDataError('Attribute data request failed: ' + err.message,
+                Object.assign({ code: 'network', cause: err }, properties))
+        }
+
+        if (!response.ok) {
+            throw new AttributeDataError('Attribute data request failed: ' + response.status + ' ' + (response.statusText || ''),
+                Object.assign({ code: 'http', status: response.status }, properties))
+        }
+
+        let data
+
+        try {
+            data = await response.json()
+        } catch (err) {
+            throw new AttributeDataError('Attribute data response is not valid JSON',
+                Object.assign({ code: 'invalid_response', cause: err }, properties))
+        }
+
+        if (!Array.isArray(data))
+            throw new AttributeDataError('Attribute data response is not an array', Object.assign({ code: 'invalid_response' }, properties))
+
+        return data
+    }
+
+    try {
+        return await Promise.race([getData(), timeoutPromise])
+    } finally {
+        clearTimeout(timer)
+    }
+}
+
+// network errors, timeouts and server errors may succeed if retried
+function isRetryable(err) {
+    if (!(err instanceof AttributeDataError)) return false
+    if (err.code === 'network' || err.code === 'timeout') return true
+    return err.code === 'http' && (err.status >= 500 || err.status === 429)
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms))
+}
+
+function unique(values) {
+    return values.filter((v, i) => values.indexOf(v) === i)
+}
+
+function removeUndefined(o) {
+    const result = {}
+    Object.keys(o).forEach(key => { if (typeof o[key] !== 'undefined') result[key] = o[key] })
+    return result
+}
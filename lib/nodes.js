@@ -0,0 +1,135 @@
+const { GROUP, TERMINAL, AND, EXACT_MATCH, IN } = require('./constants')
+    , { isEqual } = require('./utils')
+
+/*
+ * Module exports.
+ * @private
+ */
+module.exports = {
+      getEmptyGroupNode
+    , getGroupNode
+    , getNestedAttributes
+    , getQueryNode
+    , getTerminalNode
+    , isAttributeNode
+    , isNestedAttributeNodes
+    , isSameCondition
+}
+
+// return an empty group node
+function getEmptyGroupNode(label, logical_operator) {
+    const node = {
+          type: GROUP
+        , nodes: []
+        , logical_operator }
+
+    if (label) node.label = label
+
+    return node
+}
+
+/*
+    Return a group node by label. If no matching node is found, a new one is created and returned.
+    Additionally, the returned node is added to the input node.nodes array
+*/
+function getGroupNode(node, label, operator = AND) {
+    const { type, nodes } = node
+
+    let groupNode
+
+    if (type === GROUP) {
+        for (let i = 0; i < nodes.length; i++) {
+            if (nodes[i].label === label) groupNode = nodes[i]
+        }
+
+        if (!groupNode) {
+            groupNode = getEmptyGroupNode(label, operator)
+            node.nodes.push(groupNode)
+        }
+    }
+    return groupNode
+}
+
+/*
+    Return the query group node of a request. If the query is a terminal node, it is first wrapped in an inner group
+    node, a group node labelled with its service and an outer group node, which replaces the query.
+*/
+function getQueryNode(request) {
+    if (request.query.type === TERMINAL) {
+        const terminalNode = request.query
+            , innerGroupNode = getEmptyGroupNode(null, AND)
+
+        innerGroupNode.nodes.push(terminalNode)
+        request.query = getEmptyGroupNode(null, AND)
+        getGroupNode(request.query, terminalNode.service, AND).nodes.push(innerGroupNode)
+    }
+
+    return request.query
+}
+
+// return a terminal node
+function getTerminalNode(service, parameters) {
+    return {
+          type: TERMINAL
+        , service
+        , parameters
+    }
+}
+
+/*
+    Return the nested attributes ({ attribute, value }) of a uiAttrMap object. 'nestedAttribute' may be a single nested
+    attribute or a list of nested attributes.
+*/
+function getNestedAttributes(attrObj) {
+    return (attrObj && attrObj.nestedAttribute) ? [].concat(attrObj.nestedAttribute) : []
+}
+
+/*
+    Return true if 'node' is an attribute group node - a labelled group node where every child node is either a
+    terminal node for the labelled attribute, or a group node whose first node is.
+*/
+function isAttributeNode(node) {
+    const { label, nodes } = node
+
+    if (!label || nodes.length === 0) return false
+
+    return nodes.every(n => {
+        const terminalNode = (n.type === GROUP) ? n.nodes[0] : n
+        return terminalNode && terminalNode.type === TERMINAL && terminalNode.parameters && terminalNode.parameters.attribute === label
+    })
+}
+
+// return true if 'nodes' are terminal nodes for nested attributes of the attribute of 'attrObj'
+function isNestedAttributeNodes(attrObj, nodes) {
+    const nestedAttributes = getNestedAttributes(attrObj)
+
+    return nestedAttributes.length > 0 && nodes.length > 0 && nodes.every(n => !!n && n.type === TERMINAL && !!n.parameters
+        && nestedAttributes.some(nestedAttribute => nestedAttribute.attribute === n.parameters.attribute))
+}
+
+/*
+    Return true if two refinement nodes (terminal, facet filter or nested attribute group nodes) have the same
+    condition: the same operator, value and negation of the first terminal node, and the same facet filter or nested
+    attribute nodes in any order. An 'exact_match' value is the same condition as an 'in' node with this value for the
+    same attribute, such as those created by normalizeRequest.
+*/
+function isSameCondition(a, b) {
+    const [primaryA, ...qualifiersA] = (a.type === TERMINAL) ? [a] : a.nodes
+        , [primaryB, ...qualifiersB] = (b.type === TERMINAL) ? [b] : b.nodes
+        , p = primaryA.parameters || {}
+        , q = primaryB.parameters || {}
+
+    return p.attribute === q.attribute && (isSameValue(p, q) || hasInValue(p, q) || hasInValue(q, p)) && !!p.negation === !!q.negation
+        && qualifiersA.length === qualifiersB.length && qualifiersA.every(n => qualifiersB.some(m => isEqual(n, m)))
+}
+
+// private functions
+
+function isSameValue(p, q) {
+    return p.operator === q.operator && isEqual(p.value, q.value)
+}
+
+// return true if 'p' is an 'in' node with the 'exact_match' value of 'q'
+function hasInValue(p, q) {
+    return p.operator === IN && Array.isArray(p.value) && q.operator === EXACT_MATCH && p.value.some(v => isEqual(v, q.value))
+}
@@ -0,0 +1,208 @@
+const { GROUP, TERMINAL, OR, EXACT_MATCH, IN, LABEL_NESTED_ATTRIBUTE } = require('./constants')
+    , { deepClone, hashString, stableStringify } = require('./utils')
+
+/*
+ * Module exports.
+ * @public
+ */
+module.exports = {
+      hashRequest
+    , normalizeRequest
+}
+
+// FNV offset basis used for the second half of the 64 bit request hash
+const HASH_SEED = 0x01000193
+
+/*
+ * Return a normalized copy of a Search API request. Requests that differ only in the order or redundancy of their
+ * nodes normalize to the same request, so the result can be compared or used as a cache key:
+ *
+ *  - unlabelled group nodes with a single node, other than the query group node, are replaced by that node, and
+ *    unlabelled group nodes are merged into a parent group node with the same logical operator
+ *  - empty group nodes and duplicate nodes in a group node are removed
+ *  - 'exact_match' and 'in' terminal nodes for the same attribute in an 'or' group node are merged into a single
+ *    'in' terminal node
+ *  - nodes in group nodes, and 'in' values, are sorted
+ *
+ * Labelled group nodes (service, refinement, attribute and nested attribute group nodes) are kept, so the normalized
+ * request can still be passed to addRefinement/addRefinements and removeRefinement/removeRefinements. Facet filter
+ * and nested attribute group nodes keep their first node, the refinement, first - the other nodes are sorted.
+ *
+ * The request is not modified.
+ *
+ * @param {object} request
+ * @public
+ */
+function normalizeRequest(request) {
+    const normalized = deepClone(request)
+
+    if (normalized.query) normalized.query = normalizeNode(normalized.query, false, true)
+
+    return normalized
+}
+
+/*
+ * Return a hash of the normalized request as a 16 character hexadecimal string. Requests that normalize to the same
+ * request have the same hash, e.g. for use as a cache key. Object key order is ignored.
+ *
+ * @param {object} request
+ * @public
+ */
+function hashRequest(request) {
+    const s = stableStringify(normalizeRequest(request))
+    return toHex(hashString(s)) + toHex(hashString(s, HASH_SEED))
+}
+
+// private functions
+
+/*
+    Return the normalized node, or null if the node is an empty group node. The query group node is always kept, since
+    the add functions look for service group nodes in it.
+*/
+function normalizeNode(node, keepOrder, isQuery = false) {
+    if (!node || typeof node !== 'object') return node
+    if (node.type === TERMINAL) return normalizeTerminalNode(node)
+    if (node.type !== GROUP || !Array.isArray(node.nodes)) return node
+
+    const ordered = keepOrder || node.label === LABEL_NESTED_ATTRIBUTE
+
+    let nodes = node.nodes
+        .map(n => normalizeNode(n, isOrderedNode(node, n)))
+        .filter(n => n !== null)
+
+    if (!ordered) {
+        nodes = flattenNodes(node, nodes)
+        nodes = removeDuplicateNodes(nodes)
+        if (node.logical_operator === OR) nodes = mergeExactMatchNodes(nodes)
+        nodes = sortNodes(nodes)
+    } else if (nodes.length > 2) {
+        // facet filter and nested attribute conditions are independent of their order
+        nodes = [nodes[0]].concat(sortNodes(nodes.slice(1)))
+    }
+
+    if (!isQuery) {
+        if (nodes.length === 0) return null
+        if (!node.label && !ordered && nodes.length === 1) return nodes[0]
+    }
+
+    node.nodes = nodes
+
+    return node
+}
+
+function normalizeTerminalNode(node) {
+    const { parameters } = node
+
+    if (parameters && parameters.operator === IN && Array.isArray(parameters.value))
+        parameters.value = sortValues(parameters.value)
+
+    return node
+}
+
+/*
+    A group node in an attribute group node is a facet filter or nested attribute group node - the first node is the
+    refinement, so the order of its nodes is kept.
+*/
+function isOrderedNode(parent, node) {
+    if (!node || node.type !== GROUP || !Array.isArray(node.nodes)) return false
+    if (node.label === LABEL_NESTED_ATTRIBUTE) return true
+
+    const first = node.nodes[0]
+
+    return !!parent.label && !!first && first.type === TERMINAL && !!first.parameters
+        && first.parameters.attribute === parent.label
+}
+
+// replace unlabelled group nodes with the same logical operator as 'parent' by their nodes
+function flattenNodes(parent, nodes) {
+    const flattened = []
+
+    nodes.forEach(n => {
+        if (n.type === GROUP && !n.label && n.logical_operator === parent.logical_operator && !isOrderedNode(parent, n))
+            flattened.push(...n.nodes)
+        else
+            flattened.push(n)
+    })
+
+    return flattened
+}
+
+function removeDuplicateNodes(nodes) {
+    const seen = {}
+
+    return nodes.filter(n => {
+        const key = stableStringify(n)
+        if (seen[key]) return false
+        seen[key] = true
+        return true
+    })
+}
+
+/*
+    Merge 'exact_match' and 'in' terminal nodes for the same service and attribute into a single 'in' terminal node.
+    Nodes with other parameters, such as 'negation', are not merged.
+*/
+function mergeExactMatchNodes(nodes) {
+    const merged = []
+        , byAttribute = {}
+
+    nodes.forEach(n => {
+        if (!isMergeableNode(n)) return merged.push(n)
+
+        const { attribute, operator, value } = n.parameters
+            , key = n.service + ':' + attribute
+            , values = (operator === IN) ? value : [value]
+
+        if (byAttribute[key]) {
+            byAttribute[key].values.push(...values)
+        } else {
+            byAttribute[key] = { node: n, values: values.slice() }
+            merged.push(n)
+        }
+    })
+
+    Object.keys(byAttribute).forEach(key => {
+        const { node, values } = byAttribute[key]
+            , unique = sortValues(values)
+
+        if (node.parameters.operator === EXACT_MATCH && unique.length === 1) return
+        node.parameters.operator = IN
+        node.parameters.value = unique
+    })
+
+    return merged
+}
+
+function isMergeableNode(node) {
+    if (node.type !== TERMINAL || !node.parameters) return false
+
+    const keys = Object.keys(node.parameters)
+        , { attribute, operator, value } = node.parameters
+
+    if (keys.length !== 3 || typeof attribute !== 'string') return false
+    if (operator === EXACT_MATCH) return ['string', 'number', 'boolean'].indexOf(typeof value) !== -1
+    return operator === IN && Array.isArray(value)
+}
+
+// sort and remove duplicate values
+function sortValues(values) {
+    return removeDuplicateNodes(values).sort(compareValues)
+}
+
+function sortNodes(nodes) {
+    return nodes
+        .map(n => ({ n, key: stableStringify(n) }))
+        .sort((a, b) => compareValues(a.key, b.key))
+        .map(o => o.n)
+}
+
+// values are sorted by type, then by value - strings by code unit so the order does not depend on the locale
+function compareValues(a, b) {
+    if (typeof a !== typeof b) return (typeof a < typeof b) ? -1 : 1
+    if (typeof a === 'object') return compareValues(stableStringify(a), stableStringify(b))
+    return (a < b) ? -1 : (a > b) ? 1 : 0
+}
+
+function toHex(n) {
+    return ('0000000' + n.toString(16)).slice(-8)
+}
@@ -0,0 +1,172 @@
+const { EXACT_MATCH, EQUALS, LESS, LESS_OR_EQUAL, GREATER_OR_EQUAL, RANGE, IN, CONTAINS_PHRASE, TYPE_DATE, TYPE_TEXT,
+        BUCKET_INTERVAL, BUCKET_DAY, BUCKET_YEAR } = require('./constants')
+    , { attributeTypes } = require('./attribute-types')
+    , { RefinementValueError } = require('./errors')
+    , { formatRange, parseRange } = require('./ranges')
+    , { addDateInterval, formatDate, isDateBucket, parseDate } = require('./dates')
+    , DATE_REGEX = /^\d{4}-\d{2}-\d{2}/
+    , FULL_DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/
+
+/*
+ * Module exports.
+ * @private
+ */
+module.exports = {
+      getRefinementValues
+    , setParameters
+}
+
+/*
+    Return a parameters object for a refinement value. The operator is determined by the attribute type entry from
+    the attribute type registry. If no entry is passed, the default registry is used. 'options.now' returns the current
+    time for relative dates - see getDateParameters.
+
+    Numeric values are parsed with parseRange, e.g. "0.5-1.0", "[0.5,1.0)", ">=3" or "-1.5..-0.5". Throws a
+    RefinementValueError if a numeric or date value is not valid.
+*/
+function setParameters(attribute, value, attributeType = attributeTypes.get(attribute), options = {}) {
+
+    let operator
+
+    const { type, bucket } = attributeType
+
+    if (bucket === BUCKET_INTERVAL) {
+        const range = parseRange(value)
+
+        if (!range) throw new RefinementValueError('Invalid numeric refinement value for ' + attribute + ': ' + JSON.stringify(value), { attribute, value })
+
+        operator = range.operator
+        value = range.value
+    } else if (isDateBucket(bucket) || type === TYPE_DATE) {
+        const dateBucket = getDateBucket(attributeType)
+            , dateParameters = getDateParameters(value, dateBucket, options.now || Date.now)
+
+        if (!dateParameters) throw new RefinementValueError('Invalid date refinement value for ' + attribute + ': ' + JSON.stringify(value), { attribute, value })
+
+        operator = dateParameters.operator
+        value = dateParameters.value
+    } else if (type === TYPE_TEXT) {
+        operator = CONTAINS_PHRASE
+    } else {
+        operator = EXACT_MATCH
+    }
+
+    const parameters = { attribute, value, operator }
+    return parameters
+}
+
+/*
+    Return the refinement panel value(s) for a parameters object - the inverse of setParameters. An array is
+    returned as a refinement may be represented by an 'in' operator with multiple values. Date ranges are returned
+    as the start of a bucket only if setParameters, with the same attribute type entry, returns the same range -
+    otherwise as an ISO date range. 'options.now' is passed to parseDate.
+*/
+function getRefinementValues(parameters, attributeType = attributeTypes.get(parameters.attribute), options = {}) {
+    const { operator, value } = parameters
+        , isDate = (v) => typeof v === 'string' && FULL_DATE_REGEX.test(v)
+
+    const range = formatRange(operator, value)
+
+    if (range !== null) return [range]
+    if (operator === LESS) return ['*-' + (isDate(value) ? shortenDate(value) : value)]
+    if (operator === GREATER_OR_EQUAL) return [(isDate(value) ? shortenDate(value) : value) + '-*']
+    if (operator === LESS_OR_EQUAL && isDate(value)) return ['*/' + value]
+    if (operator === EQUALS) return [String(value)]
+    if (operator === IN && Array.isArray(value)) return value.slice()
+
+    if (operator === RANGE && value && typeof value === 'object') {
+        const { from, to } = value
+
+        if (isDate(from) && isDate(to)) return [getDateRangeValue(from, to, getDateBucket(attributeType), options.now || Date.now)]
+        if (typeof from === 'string' && DATE_REGEX.test(from)) return [from.substring(0, 4)] // release date - starting year
+        return [from + '-' + to]
+    }
+
+    return [value]
+}
+
+// private functions
+
+/*
+    Return the parameters for a date refinement value:
+
+        "2010", "2010-03", "2010-03-15"     the date range of the bucket ('span' days, months or years) starting at
+                                            the value, including both bounds
+        "*-2000", "2000-*"                  before, or from, the start of a date - 'less' and 'greater_or_equal'
+        "2010-01-01/2012-06-30"             an ISO date range including both bounds - either bound may be '*', and
+                                            a year or month bound covers the whole year or month
+        "now-30d"                           from a date relative to today - 'greater_or_equal'
+
+    Relative dates ("now", or "now" and an offset in days, weeks, months, quarters or years, e.g. "now-6M") may be used
+    wherever a date is expected, and resolve against the current time returned by 'now'. Returns null if the value is
+    not a valid date, e.g. "2010-02-30", or date range.
+*/
+function getDateParameters(value, dateBucket, now) {
+    const s = String(value).trim()
+        , parse = (v) => parseDate(v, now)
+        , start = (date) => formatDate(date.date)
+        , end = (date) => formatDate(addDateInterval(addDateInterval(date.date, date.bucket, 1), BUCKET_DAY, -1))
+
+    if (s.startsWith('*-') || s.endsWith('-*')) {
+        const date = parse(s.startsWith('*-') ? s.substring(2) : s.substring(0, s.length - 2))
+
+        if (!date) return null
+
+        return { operator: s.startsWith('*-') ? LESS : GREATER_OR_EQUAL, value: start(date) }
+    }
+
+    if (s.indexOf('/') !== -1) {
+        const [a, b] = s.split('/')
+            , from = (a === '*') ? null : parse(a)
+            , to = (b === '*') ? null : parse(b)
+
+        if ((a !== '*' && !from) || (b !== '*' && !to) || (!from && !to)) return null
+        if (!to) return { operator: GREATER_OR_EQUAL, value: start(from) }
+        if (!from) return { operator: LESS_OR_EQUAL, value: end(to) }
+
+        return { operator: RANGE, value: { from: start(from), to: end(to), include_lower: true, include_upper: true } }
+    }
+
+    const date = parse(s)
+
+    if (!date) return null
+    if (date.relative) return { operator: GREATER_OR_EQUAL, value: start(date) }
+
+    const to = addDateInterval(addDateInterval(date.date, dateBucket.bucket, dateBucket.span), BUCKET_DAY, -1)
+
+    return { operator: RANGE, value: { from: start(date), to: formatDate(to), include_lower: true, include_upper: true } }
+}
+
+// return a date as "YYYY" if it is the first day of a year, or as "YYYY-MM" if it is the first day of a month
+function shortenDate(date) {
+    if (date.endsWith('-01-01')) return date.substring(0, 4)
+    if (date.endsWith('-01')) return date.substring(0, 7)
+    return date
+}
+
+// return the { bucket, span } of date refinement values for an attribute type entry - a single day if it has no date bucket
+function getDateBucket(attributeType) {
+    const { bucket, span } = attributeType
+    return isDateBucket(bucket) ? { bucket, span: span || 1 } : { bucket: BUCKET_DAY, span: 1 }
+}
+
+/*
+    Return the refinement value for a date range: the start of the range if it is exactly the bucket of 'span' years,
+    months or days starting there - "2010" for a year bucket starting on Jan 1, "2010-03" for a month or year bucket
+    starting on the first of a month - or an ISO date range, e.g. "2010-01-01/2012-12-31".
+*/
+function getDateRangeValue(from, to, dateBucket, now) {
+    const fromDate = parseDate(from, now)
+        , toDate = parseDate(to, now)
+
+    if (!fromDate || !toDate) return from + '/' + to
+
+    const { bucket, span } = dateBucket
+        , last = formatDate(addDateInterval(addDateInterval(fromDate.date, bucket, span), BUCKET_DAY, -1))
+
+    if (last !== to) return from + '/' + to
+    if (bucket === BUCKET_YEAR && from.endsWith('-01-01')) return from.substring(0, 4)
+    if (bucket !== BUCKET_DAY && from.endsWith('-01')) return from.substring(0, 7)
+
+    return from
+}
@@ -0,0 +1,628 @@
+const { GROUP, TERMINAL, AND, OR, EXACT_MATCH, EQUALS, IN, RANGE, LESS, LESS_OR_EQUAL, GREATER, GREATER_OR_EQUAL,
+        EXISTS, CONTAINS_PHRASE, CONTAINS_WORDS, TYPE_NUMBER, TYPE_INTEGER, TYPE_DATE, TYPE_TEXT,
+        LABEL_NESTED_ATTRIBUTE } = require('./constants')
+    , { createContext } = require('./context')
+    , { QueryParseError } = require('./errors')
+    , { getEmptyGroupNode, getTerminalNode, isNestedAttributeNodes } = require('./nodes')
+    , { query } = require('./builder')
+    , { isEqual } = require('./utils')
+
+/*
+ * Module exports.
+ * @public
+ */
+module.exports = {
+      parseQuery
+    , printQuery
+}
+
+const ATTRIBUTE_SERVICES = ['text', 'text_chem']
+    , SERVICES = ATTRIBUTE_SERVICES.concat(['full_text', 'sequence', 'seqmotif', 'structure', 'strucmotif', 'chemical'])
+    , OPERATORS = [EXACT_MATCH, EQUALS, IN, RANGE, LESS, LESS_OR_EQUAL, GREATER, GREATER_OR_EQUAL, EXISTS,
+                   CONTAINS_PHRASE, CONTAINS_WORDS]
+    , KEYWORDS = ['AND', 'OR', 'NOT', 'TO']
+    , COMPARISONS = { '>': GREATER, '>=': GREATER_OR_EQUAL, '<': LESS, '<=': LESS_OR_EQUAL, '=': EQUALS }
+    , PUNCTUATION = '()[]{},:~*'
+    , WORD_REGEX = /[^\s()[\]{},:~*"<>=]+/y
+    , NUMBER_REGEX = /^-?\d+(\.\d+)?([eE][-+]?\d+)?$/
+    // short names for common attributes, e.g. organism:"Homo sapiens"
+    , DEFAULT_ALIASES = {
+          organism: 'rcsb_entity_source_organism.ncbi_scientific_name'
+        , method: 'exptl.method'
+        , resolution: 'rcsb_entry_info.resolution_combined'
+        , release_date: 'rcsb_accession_info.initial_release_date'
+    }
+
+/*
+ * Parse a query in the compact search syntax and return a Search API request, e.g.
+
+    exptl.method:"ELECTRON MICROSCOPY" AND rcsb_entry_info.resolution_combined:[0.5 TO 1.0) AND NOT organism:"Homo sapiens"
+
+ * Clauses are combined with AND, OR and parentheses - AND binds tighter than OR. NOT negates an attribute clause, or
+ * a parenthesized group of attribute clauses. Clauses:
+ *
+ *  attribute:value             operator determined by the attribute type - 'equals' for numbers, 'contains_phrase'
+ *                              for text and 'exact_match' otherwise, e.g. exptl.method:"X-RAY DIFFRACTION"
+ *  attribute:>x, >=x, <x, <=x, =x
+ *                              'greater', 'greater_or_equal', 'less', 'less_or_equal' and 'equals'
+ *  attribute:[a TO b)          'range' - '[' and ']' include the bound, '(' and ')' exclude it. A '*' bound is open,
+ *                              e.g. [* TO 2.0) is 'less' and [2.0 TO *] is 'greater_or_equal'
+ *  attribute:("a", "b")        'in'
+ *  attribute:~"a b"            'contains_words'
+ *  attribute:*                 'exists'
+ *  attribute:operator(JSON)    any operator, with a JSON value, e.g. exact_match(2)
+ *  "words" or word             'full_text' search
+ *  @service{JSON}              terminal node parameters for any service, e.g. @sequence{"value": "MVLS..."}
+ *  *                           all documents
+ *
+ * Strings are quoted as JSON strings. Unquoted values may be used for numbers and for values without spaces or
+ * punctuation.
+ *
+ * A parenthesized group of clauses combined with AND is labelled as a nested attribute group node if the clauses after
+ * the first are for nested attributes of the first attribute, as in addRefinements, e.g.
+ * (rcsb_polymer_instance_annotation.annotation_lineage.id:"2.40" AND rcsb_polymer_instance_annotation.type:"CATH").
+ *
+ * The service of an attribute ('text' or 'text_chem') is found in the metadata of the 'structure' and 'chemical'
+ * schemas, trying the 'schema' option first. If no metadata is available, the service of the schema is used. If
+ * metadata is available, unknown attributes are an error.
+ *
+ * Throws a QueryParseError with the 'position' and 'length' of the error in the text if the query is invalid.
+ *
+ * options:
+ *
+ *  schema:             'structure' (default) or 'chemical'
+ *  return_type:        the request 'return_type' - 'entry' for the 'structure' schema and 'mol_definition' for the
+ *                      'chemical' schema by default
+ *  aliases:            short attribute names, e.g. { organism: 'rcsb_entity_source_organism.ncbi_scientific_name' },
+ *                      added to the default aliases: organism, method, resolution and release_date
+ *  metadataProvider:   see createSearchRequestTools. If not set, the global 'metadata' object is used if it exists.
+ *  attributeTypes:     attribute type registry, used to determine the operator of an attribute:value clause
+ *
+ * @param {string} text
+ * @param {object} options
+ * @public
+ */
+function parseQuery(text, options = {}) {
+    const state = createState(String(text), options)
+        , node = parseOr(state)
+        , token = peek(state)
+
+    if (token.type !== 'eof') throw getError(token, 'Expected AND, OR or the end of the query')
+
+    const builder = (node.type === GROUP && node.logical_operator === AND) ? query().and(...node.nodes) : query().node(node)
+
+    return builder.returnType(options.return_type || ((state.schema === 'chemical') ? 'mol_definition' : 'entry')).build()
+}
+
+/*
+ * Return the query of a Search API request in the compact search syntax - the inverse of parseQuery. Any request can
+ * be printed, including requests with refinements added by addRefinement/addRefinements: parameters that cannot be
+ * written in a shorter form are written as 'operator(JSON)', and terminal nodes of other services as '@service{JSON}'.
+ * Group nodes with a single node, and group nodes within a group node with the same logical operator, are flattened,
+ * except nested attribute group nodes. The query printed and parsed back matches the same documents, but the labelled
+ * group nodes of addRefinement/addRefinements are not restored.
+ *
+ * The options are those of parseQuery - the attribute types and services are used to write the shortest clause that
+ * is parsed back to the same parameters.
+ *
+ * @param {object} request
+ * @param {object} options
+ * @public
+ *
+ * Example:
+ *
+ *  printQuery(request) // 'exptl.method:"ELECTRON MICROSCOPY" AND rcsb_entry_info.resolution_combined:[0.5 TO 1)'
+ */
+function printQuery(request, options = {}) {
+    const schema = options.schema || ((request && request.return_type === 'mol_definition') ? 'chemical' : 'structure')
+        , state = createState('', Object.assign({}, options, { schema }))
+
+    return (request && request.query) ? printNode(state, request.query).text : ''
+}
+
+// private functions
+
+function createState(text, options) {
+    const context = createContext({ metadataProvider: options.metadataProvider, attributeTypes: options.attributeTypes })
+
+    return {
+          text
+        , pos: 0
+        , token: null
+        , schema: options.schema || 'structure'
+        , aliases: Object.assign({}, DEFAULT_ALIASES, options.aliases)
+        , context
+    }
+}
+
+function getError(token, message) {
+    const at = (token.type === 'eof') ? 'at the end of the query' : 'at position ' + token.pos
+
+    return new QueryParseError(message + ' ' + at, { position: token.pos, length: token.end - token.pos })
+}
+
+// tokenizer
+
+// return the next token without consuming it - { type, value, pos, end }
+function peek(state) {
+    if (!state.token) state.token = readToken(state.text, state.pos)
+    return state.token
+}
+
+function next(state) {
+    const token = peek(state)
+
+    state.pos = token.end
+    state.token = null
+
+    return token
+}
+
+function expect(state, type, description) {
+    const token = peek(state)
+
+    if (token.type !== type) throw getError(token, 'Expected ' + description)
+
+    return next(state)
+}
+
+function readToken(text, start) {
+    let pos = start
+
+    while (pos < text.length && /\s/.test(text[pos])) pos++
+
+    const c = text[pos]
+        , token = (type, end, value) => ({ type, value, pos, end })
+
+    if (pos >= text.length) return token('eof', pos)
+    if (PUNCTUATION.indexOf(c) !== -1) return token(c, pos + 1)
+    if (c === '<' || c === '>') return (text[pos + 1] === '=') ? token('cmp', pos + 2, c + '=') : token('cmp', pos + 1, c)
+    if (c === '=') return token('cmp', pos + 1, c)
+    if (c === '"') {
+        const end = readString(text, pos)
+        return token('string', end, JSON.parse(text.substring(pos, end)))
+    }
+
+    WORD_REGEX.lastIndex = pos
+    const word = WORD_REGEX.exec(text)[0]
+
+    return token(KEYWORDS.indexOf(word) !== -1 ? word : 'word', pos + word.length, word)
+}
+
+// return the end of the JSON string starting at 'start'
+function readString(text, start) {
+    let pos = start + 1
+
+    while (pos < text.length && text[pos] !== '"') pos += (text[pos] === '\\') ? 2 : 1
+
+    const end = Math.min(pos + 1, text.length)
+        , error = new QueryParseError('Unterminated string at position ' + start, { position: start, length: end - start })
+
+    if (pos >= text.length) throw error
+
+    try {
+        JSON.parse(text.substring(start, end))
+    } catch (err) {
+        throw new QueryParseError('Invalid string at position ' + start, { position: start, length: end - start })
+    }
+
+    return end
+}
+
+/*
+    Read a JSON value - an object, an array, a string or a literal ending at ')' or whitespace - and return it. The
+    JSON value is not tokenized, so any JSON may be used.
+*/
+function readJson(state) {
+    const { text } = state
+
+    let start = state.pos
+
+    while (start < text.length && /\s/.test(text[start])) start++
+
+    let end = start
+
+    if (text[start] === '{' || text[start] === '[') {
+        let depth = 0
+
+        while (end < text.length) {
+            const c = text[end]
+
+            if (c === '"') {
+                end = readString(text, end)
+                continue
+            }
+            if (c === '{' || c === '[') depth++
+            if (c === '}' || c === ']') depth--
+            end++
+            if (depth === 0) break
+        }
+    } else if (text[start] === '"') {
+        end = readString(text, start)
+    } else {
+        while (end < text.length && !/[\s)]/.test(text[end])) end++
+    }
+
+    try {
+        const value = JSON.parse(text.substring(start, end))
+
+        state.pos = end
+        state.token = null
+
+        return value
+    } catch (err) {
+        throw new QueryParseError('Invalid JSON value at position ' + start, { position: start, length: end - start })
+    }
+}
+
+// parser
+
+function parseOr(state) {
+    return parseList(state, OR, 'OR', parseAnd)
+}
+
+function parseAnd(state) {
+    return parseList(state, AND, 'AND', parseNot)
+}
+
+function parseList(state, operator, keyword, parseItem) {
+    const nodes = [parseItem(state)]
+
+    while (peek(state).type === keyword) {
+        next(state)
+        nodes.push(parseItem(state))
+    }
+
+    if (nodes.length === 1) return nodes[0]
+
+    const groupNode = getEmptyGroupNode(null, operator)
+    groupNode.nodes = nodes
+
+    return groupNode
+}
+
+function parseNot(state) {
+    if (peek(state).type !== 'NOT') return parsePrimary(state)
+
+    const token = next(state)
+
+    return negate(parseNot(state), token)
+}
+
+/*
+    Negate a node. The negation of a group node is pushed down to its terminal nodes, swapping 'and' and 'or'. Only
+    attribute clauses can be negated.
+*/
+function negate(node, token) {
+    if (node.type === GROUP) {
+        const groupNode = getEmptyGroupNode(null, node.logical_operator === AND ? OR : AND)
+        groupNode.nodes = node.nodes.map(n => negate(n, token))
+        return groupNode
+    }
+
+    if (ATTRIBUTE_SERVICES.indexOf(node.service) === -1 || !node.parameters)
+        throw getError(token, 'NOT can only be applied to attribute clauses')
+
+    if (node.parameters.negation) delete node.parameters.negation
+    else node.parameters.negation = true
+
+    return node
+}
+
+function parsePrimary(state) {
+    const token = peek(state)
+
+    if (token.type === '(') {
+        next(state)
+        const node = parseOr(state)
+        expect(state, ')', "')'")
+        return setNestedAttributeLabel(state, node)
+    }
+
+    if (token.type === '*') {
+        next(state)
+        return { type: TERMINAL, service: 'text' }
+    }
+
+    if (token.type === 'string') {
+        next(state)
+        return getTerminalNode('full_text', { value: token.value })
+    }
+
+    if (token.type === 'word' && token.value[0] === '@') return parseServiceClause(state)
+
+    if (token.type === 'word') {
+        next(state)
+        if (peek(state).type !== ':') return getTerminalNode('full_text', { value: token.value })
+        next(state)
+        return parseAttributeClause(state, token)
+    }
+
+    throw getError(token, (token.type === 'eof') ? 'Expected a clause' : "Unexpected '" + state.text.substring(token.pos, token.end) + "'")
+}
+
+function parseServiceClause(state) {
+    const token = next(state)
+        , service = token.value.substring(1)
+
+    if (SERVICES.indexOf(service) === -1) throw getError(token, "Unknown service '" + service + "'")
+
+    const parameters = readJson(state)
+
+    if (!parameters || typeof parameters !== 'object' || Array.isArray(parameters))
+        throw getError(token, "Expected a JSON object after '@" + service + "'")
+
+    return getTerminalNode(service, parameters)
+}
+
+function parseAttributeClause(state, token) {
+    const name = state.aliases[token.value] || token.value
+        , attribute = findAttribute(state, name)
+
+    if (!attribute) throw getError(token, "Unknown attribute '" + name + "'")
+
+    const parameters = parseValue(state, attribute)
+
+    return getTerminalNode(attribute.service, Object.assign({ attribute: name }, parameters))
+}
+
+/*
+    Return an attribute - { name, service, type, attrObj }. The service is found in the metadata of the schema, then of the
+    other schema. Returns null if metadata is available and the attribute is not found.
+*/
+function findAttribute(state, name) {
+    const schemas = (state.schema === 'chemical') ? ['chemical', 'structure'] : ['structure', 'chemical']
+        , available = schemas.map(schema => ({ schema, metadata: state.context.findMetadata(schema) })).filter(s => s.metadata)
+        , found = available.find(s => s.metadata.uiAttrMap[name])
+
+    if (available.length > 0 && !found) return null
+
+    const schema = found ? found.schema : state.schema
+        , attrObj = found ? found.metadata.uiAttrMap[name] : null
+
+    return {
+          name
+        , service: (schema === 'chemical') ? 'text_chem' : 'text'
+        , type: state.context.attributeTypes.get(name, attrObj).type
+        , attrObj
+    }
+}
+
+// label a group node as a nested attribute group node if its nodes after the first are nested attributes of the first
+function setNestedAttributeLabel(state, node) {
+    if (node.type !== GROUP || node.logical_operator !== AND || node.nodes[0].type !== TERMINAL || !node.nodes[0].parameters)
+        return node
+
+    const attribute = findAttribute(state, node.nodes[0].parameters.attribute)
+
+    if (attribute && isNestedAttributeNodes(attribute.attrObj, node.nodes.slice(1))) node.label = LABEL_NESTED_ATTRIBUTE
+
+    return node
+}
+
+// return the { operator, value } parameters of an attribute clause
+function parseValue(state, attribute) {
+    const token = peek(state)
+
+    if (token.type === '*') {
+        next(state)
+        return { operator: EXISTS }
+    }
+
+    if (token.type === 'cmp') {
+        next(state)
+        return { operator: COMPARISONS[token.value], value: parseBound(state, false) }
+    }
+
+    if (token.type === '~') {
+        next(state)
+        const value = next(state)
+        if (value.type !== 'string' && value.type !== 'word') throw getError(value, 'Expected words')
+        return { operator: CONTAINS_WORDS, value: value.value }
+    }
+
+    if (token.type === '[' || token.type === '(') return parseRangeOrList(state, attribute)
+
+    if (token.type === 'word' && OPERATORS.indexOf(token.value) !== -1 && state.text[token.end] === '(') {
+        next(state)
+        next(state)
+        const parameters = { operator: token.value }
+        if (token.value !== EXISTS) parameters.value = readJson(state)
+        expect(state, ')', "')'")
+        return parameters
+    }
+
+    if (token.type === 'string' || token.type === 'word') {
+        next(state)
+        return inferParameters(attribute, token)
+    }
+
+    throw getError(token, 'Expected a value')
+}
+
+// return the parameters of a range '[a TO b)' or a list '("a", "b")'
+function parseRangeOrList(state, attribute) {
+    const open = next(state)
+        , from = parseBound(state, true)
+
+    if (peek(state).type !== 'TO') {
+        if (open.type === '[') throw getError(peek(state), "Expected 'TO'")
+        return { operator: IN, value: parseInList(state, attribute, from) }
+    }
+
+    next(state)
+
+    const to = parseBound(state, true)
+        , close = peek(state)
+
+    if (close.type !== ']' && close.type !== ')') throw getError(close, "Expected ']' or ')'")
+    next(state)
+
+    if (from === null && to === null) throw getError(close, 'A range must have a bound')
+    if (from === null) return { operator: (close.type === ']') ? LESS_OR_EQUAL : LESS, value: to }
+    if (to === null) return { operator: (open.type === '[') ? GREATER_OR_EQUAL : GREATER, value: from }
+
+    return { operator: RANGE, value: { from, to, include_lower: open.type === '[', include_upper: close.type === ']' } }
+}
+
+// return the values of an 'in' list - the first value has been read as a bound
+function parseInList(state, attribute, first) {
+    const values = [first]
+
+    if (first === null) throw getError(peek(state), 'Expected a value')
+
+    while (peek(state).type === ',') {
+        next(state)
+        const token = next(state)
+        if (token.type !== 'string' && token.type !== 'word') throw getError(token, 'Expected a value')
+        values.push(token.value)
+    }
+
+    expect(state, ')', "',' or ')'")
+
+    // list values are numbers for number attributes only
+    return values.map(v => (isNumericType(attribute.type) && typeof v === 'string' && NUMBER_REGEX.test(v)) ? Number(v) : String(v))
+}
+
+/*
+    Return a comparison or range bound - a number, or a string for a date. A '*' bound is returned as null if
+    'open' is true.
+*/
+function parseBound(state, open) {
+    const token = next(state)
+
+    if (open && token.type === '*') return null
+    if (token.type === 'word' && NUMBER_REGEX.test(token.value)) return Number(token.value)
+    if ((token.type === 'word' || token.type === 'string') && !isNaN(Date.parse(token.value))) return token.value
+    if (open && (token.type === 'word' || token.type === 'string')) return token.value // 'in' list value
+
+    throw getError(token, 'Expected a number or date')
+}
+
+// return the parameters of a value without an operator, from the attribute type
+function inferParameters(attribute, token) {
+    const { type } = attribute
+        , { value } = token
+
+    if (isNumericType(type)) {
+        if (token.type !== 'word' || !NUMBER_REGEX.test(value)) throw getError(token, "Expected a number for attribute '" + attribute.name + "'")
+        return { operator: EQUALS, value: Number(value) }
+    }
+
+    if (type === TYPE_DATE) return { operator: EQUALS, value }
+    if (type === TYPE_TEXT) return { operator: CONTAINS_PHRASE, value }
+
+    return { operator: EXACT_MATCH, value }
+}
+
+function isNumericType(type) {
+    return type === TYPE_NUMBER || type === TYPE_INTEGER
+}
+
+// printer
+
+/*
+    Return { text, operator, nested } for a node - 'operator' is the logical operator joining the text, or null for a
+    single clause, and 'nested' is true for a nested attribute group node. Empty group nodes have empty text.
+*/
+function printNode(state, node) {
+    if (node.type === TERMINAL) return { text: printTerminalNode(state, node), operator: null }
+
+    const items = (node.nodes || []).map(n => printNode(state, n)).filter(item => item.text !== '')
+
+    if (items.length === 0) return { text: '', operator: null }
+    if (items.length === 1) return items[0]
+
+    const operator = node.logical_operator
+        , text = items
+            .map(item => (item.operator && (item.operator !== operator || item.nested)) ? '(' + item.text + ')' : item.text)
+            .join(' ' + operator.toUpperCase() + ' ')
+
+    return { text, operator, nested: node.label === LABEL_NESTED_ATTRIBUTE }
+}
+
+function printTerminalNode(state, node) {
+    const { service, parameters } = node
+        , json = '@' + service + JSON.stringify(parameters)
+
+    if (!parameters) return '*'
+
+    if (service === 'full_text' && Object.keys(parameters).length === 1 && typeof parameters.value === 'string')
+        return JSON.stringify(parameters.value)
+
+    if (ATTRIBUTE_SERVICES.indexOf(service) === -1) return json
+
+    const { attribute, negation, operator, value, ...other } = parameters
+        , found = (typeof attribute === 'string') ? findAttribute(state, attribute) : null
+
+    // the attribute clause must be parsed back to the same service and parameters
+    if (!found || found.service !== service || Object.keys(other).length > 0 || typeof operator !== 'string'
+        || (operator !== EXISTS && typeof value === 'undefined')
+        || !isWord(attribute) || state.aliases[attribute] || (typeof negation !== 'undefined' && negation !== true)) return json
+
+    return (negation ? 'NOT ' : '') + attribute + ':' + printValue(state, found, { operator, value })
+}
+
+/*
+    Return the value of an attribute clause - the first compact form that is parsed back to the same parameters, or
+    'operator(JSON)'.
+*/
+function printValue(state, attribute, parameters) {
+    const { operator, value } = parameters
+        , explicit = operator + '(' + ((typeof value === 'undefined') ? '' : JSON.stringify(value)) + ')'
+        , expected = (typeof value === 'undefined') ? { operator } : { operator, value }
+
+    const compact = getCompactValues(operator, value).find(text => {
+        try {
+            const parseState = Object.assign({}, state, { text, pos: 0, token: null })
+                , parsed = parseValue(parseState, attribute)
+
+            return peek(parseState).type === 'eof' && isEqual(parsed, expected)
+        } catch (err) {
+            return false
+        }
+    })
+
+    return compact || explicit
+}
+
+// return the compact forms of a value, shortest first
+function getCompactValues(operator, value) {
+    const format = (v) => (typeof v === 'number') ? String(v) : JSON.stringify(v)
+        , isScalar = (v) => typeof v === 'number' || typeof v === 'string'
+
+    switch (operator) {
+        case EXISTS:
+            return ['*']
+        case EXACT_MATCH:
+        case CONTAINS_PHRASE:
+            return isScalar(value) ? [format(value)] : []
+        case EQUALS:
+            return isScalar(value) ? [format(value), '=' + format(value)] : []
+        case LESS:
+        case LESS_OR_EQUAL:
+        case GREATER:
+        case GREATER_OR_EQUAL:
+            return isScalar(value) ? [Object.keys(COMPARISONS).find(key => COMPARISONS[key] === operator) + format(value)] : []
+        case CONTAINS_WORDS:
+            return (typeof value === 'string') ? ['~' + format(value)] : []
+        case IN:
+            return (Array.isArray(value) && value.length > 0 && value.every(isScalar)) ? ['(' + value.map(format).join(', ') + ')'] : []
+        case RANGE: {
+            if (!value || typeof value !== 'object' || !isScalar(value.from) || !isScalar(value.to)) return []
+            const { from, to, include_lower, include_upper } = value
+            return [(include_lower ? '[' : '(') + format(from) + ' TO ' + format(to) + (include_upper ? ']' : ')')]
+        }
+        default:
+            return []
+    }
+}
+
+// return true if an attribute name is read as a single word
+function isWord(name) {
+    WORD_REGEX.lastIndex = 0
+
+    const match = WORD_REGEX.exec(name)
+
+    return !!match && match[0] === name && KEYWORDS.indexOf(name) === -1 && name[0] !== '@'
+}
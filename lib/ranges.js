@@ -0,0 +1,101 @@
+const { EQUALS, LESS, LESS_OR_EQUAL, GREATER, GREATER_OR_EQUAL, RANGE } = require('./constants')
+
+/*
+ * Module exports.
+ * @private
+ */
+module.exports = {
+      formatRange
+    , parseRange
+}
+
+// a decimal number with an optional sign and exponent, e.g. "-1.5", ".5" or "1e-3"
+const NUMBER = '[+-]?(?:\\d+(?:\\.\\d+)?|\\.\\d+)(?:[eE][+-]?\\d+)?'
+    , NUMBER_REGEX = new RegExp('^(' + NUMBER + ')$')
+    , COMPARISON_REGEX = new RegExp('^(<=|>=|<|>|=)\\s*(' + NUMBER + ')$')
+    , BRACKET_REGEX = new RegExp('^([[(])\\s*(' + NUMBER + ')?\\s*,\\s*(' + NUMBER + ')?\\s*([\\])])$')
+    , DOTS_REGEX = new RegExp('^(' + NUMBER + ')?\\s*\\.\\.\\s*(' + NUMBER + ')?$')
+    , HYPHEN_REGEX = new RegExp('^(\\*|' + NUMBER + ')\\s*-\\s*(\\*|' + NUMBER + ')$')
+    , COMPARISON_OPERATORS = { '<': LESS, '<=': LESS_OR_EQUAL, '>': GREATER, '>=': GREATER_OR_EQUAL, '=': EQUALS }
+
+/*
+    Parse a numeric refinement value into { operator, value } Search API parameters. Returns null if the value is not
+    valid, e.g. not a number or an empty range:
+
+        "3", "=3"                   'equals'
+        "<3", "<=3", ">3", ">=3"    'less', 'less_or_equal', 'greater' and 'greater_or_equal'
+        "[0.5,1.0)", "(0.5,1.0]"    'range' - '[' and ']' include the bound, '(' and ')' exclude it. Without a lower
+                                    or upper bound, e.g. "(,2.5]" or "[3,)", the matching comparison operator
+        "0.5..1.0", "..1", "3.."    'range' including the lower and excluding the upper bound, 'less' and
+                                    'greater_or_equal'
+        "0.5-1.0", "*-1", "3-*"     the same as "0.5..1.0", "..1" and "3.." - the histogram bucket format
+
+    Numbers may be negative or use scientific notation, e.g. "-1.5..-0.5" or "1e-3..1e-2".
+*/
+function parseRange(value) {
+    const s = String(value).trim()
+        , number = NUMBER_REGEX.exec(s)
+        , comparison = COMPARISON_REGEX.exec(s)
+        , bracket = BRACKET_REGEX.exec(s)
+        , interval = DOTS_REGEX.exec(s) || HYPHEN_REGEX.exec(s)
+
+    let parameters = null
+
+    if (number) parameters = { operator: EQUALS, value: parseFloat(number[1]) }
+    else if (comparison) parameters = { operator: COMPARISON_OPERATORS[comparison[1]], value: parseFloat(comparison[2]) }
+    else if (bracket) parameters = getRange(bracket[2], bracket[3], bracket[1] === '[', bracket[4] === ']')
+    else if (interval) parameters = getRange(interval[1], interval[2], true, false)
+
+    // numbers out of range, e.g. "1e400", are not valid
+    if (parameters && parameters.operator === RANGE) return (isNumber(parameters.value.from) && isNumber(parameters.value.to)) ? parameters : null
+    return (parameters && isNumber(parameters.value)) ? parameters : null
+}
+
+/*
+    Return the refinement value for numeric Search API parameters - the inverse of parseRange - or null if the
+    parameters are not numeric. Ranges including the lower and excluding the upper bound, 'less' and
+    'greater_or_equal' use the histogram bucket format, e.g. "0.5-1", "*-1" and "3-*".
+*/
+function formatRange(operator, value) {
+    if (operator === RANGE && value && typeof value === 'object') {
+        const { from, to, include_lower, include_upper } = value
+
+        if (!isNumber(from) || !isNumber(to)) return null
+        if (include_lower !== false && !include_upper) return from + '-' + to
+
+        return (include_lower === false ? '(' : '[') + from + ',' + to + (include_upper ? ']' : ')')
+    }
+
+    if (!isNumber(value)) return null
+
+    switch (operator) {
+        case EQUALS: return String(value)
+        case LESS: return '*-' + value
+        case LESS_OR_EQUAL: return '<=' + value
+        case GREATER: return '>' + value
+        case GREATER_OR_EQUAL: return value + '-*'
+    }
+
+    return null
+}
+
+// private functions
+
+// return the parameters for a range with optional bounds - '*' or a missing bound is open
+function getRange(lower, upper, includeLower, includeUpper) {
+    const from = (typeof lower === 'undefined' || lower === '*') ? null : parseFloat(lower)
+        , to = (typeof upper === 'undefined' || upper === '*') ? null : parseFloat(upper)
+
+    if (from === null && to === null) return null
+    if (from === null) return { operator: includeUpper ? LESS_OR_EQUAL : LESS, value: to }
+    if (to === null) return { operator: includeLower ? GREATER_OR_EQUAL : GREATER, value: from }
+
+    // an empty range, e.g. "2..1" or "[1,1)"
+    if (from > to || (from === to && !(includeLower && includeUpper))) return null
+
+    return { operator: RANGE, value: { from, to, include_lower: includeLower, include_upper: includeUpper } }
+}
+
+function isNumber(value) {
+    return typeof value === 'number' && isFinite(value)
+}
@@ -0,0 +1,288 @@
+const { GROUP, TERMINAL, EXACT_MATCH, IN, LABEL_SERVICE_REFINEMENTS } = require('./constants')
+    , { attributeTypes: defaultAttributeTypes } = require('./attribute-types')
+    , { withDateInterval } = require('./dates')
+    , { RefinementValueError } = require('./errors')
+    , { setParameters } = require('./parameters')
+    , { getServiceNode, isServiceRefinement } = require('./service-refinements')
+    , { isEqual } = require('./utils')
+
+/*
+ * Module exports.
+ * @public
+ */
+module.exports = {
+      removeRefinement
+    , removeRefinements
+}
+
+/*
+ * Remove a refinement from an existing Search API request. This is the inverse of addRefinement/addRefinements.
+ *
+ * The refinement to remove may be passed either as the same 'terminal' or 'group' node that was passed to
+ * addRefinement, or as an attribute and value. A node only removes nodes with the same operator and value. The value
+ * may be a refinement panel value such as "*-0.5" or "2010", or a Search API parameter value, and removes nodes with
+ * this value and any operator. If no value is passed, all refinements for the attribute are removed.
+ *
+ * Matching nodes are only removed from attribute group nodes (group nodes labelled with the attribute name), so
+ * the base query is never modified. Attribute, refinement and service group nodes left empty are removed. A value is
+ * also removed from 'in' terminal nodes, such as those created by normalizeRequest.
+ *
+ * Refinement panel values are converted using the 'attributeTypes' registry in 'options', or the default registry,
+ * with the date 'interval' in 'options' if set. Relative dates such as "now-30d" are resolved with 'options.now' - see
+ * createSearchRequestTools.
+ *
+ * Both included and excluded values are removed, unless 'options.exclude' is true (only excluded values) or false
+ * (only included values). A node passed to removeRefinement only removes an exclusion if it has 'negation: true'.
+ *
+ * A value is removed for all facet filters and nested attribute values, unless 'options.nestedAttribute' is set - a
+ * condition { attribute, value, operator } or a list of them, as for addRefinements. Only facet filter and nested
+ * attribute group nodes with exactly these conditions are then removed. Omitted keys of a condition match any value.
+ * A group node passed to removeRefinement only removes group nodes with the same facet filter or nested attribute
+ * nodes, in any order.
+ *
+ * A 'sequence', 'seqmotif', 'structure', 'chemical' or 'full_text' terminal node is removed from the service
+ * refinement group nodes created by addRefinement/addRefinements.
+ *
+ * Returns the number of refinement nodes removed.
+ *
+ * @param {object} request
+ * @param {object|string} nodeOrAttribute
+ * @param {*} value
+ * @param {object} options
+ * @public
+ *
+ * Examples:
+ *
+ *  removeRefinement(request, 'exptl.method', 'ELECTRON MICROSCOPY')
+ *  removeRefinement(request, 'rcsb_entry_info.resolution_combined', '*-0.5')
+ *  removeRefinement(request, 'rcsb_entry_info.resolution_combined') // remove all resolution refinements
+ *  removeRefinement(request, node) // 'node' as passed to addRefinement
+*/
+function removeRefinement(request, nodeOrAttribute, value, options = {}) {
+    const { attributeTypes = defaultAttributeTypes, exclude, nestedAttribute, interval, now } = options
+        , matcher = (typeof nodeOrAttribute !== 'object')
+            ? getValueMatcher(nodeOrAttribute, value, withDateInterval(attributeTypes.get(nodeOrAttribute), interval), exclude,
+                nestedAttribute && [].concat(nestedAttribute), now)
+            : isServiceRefinement(nodeOrAttribute)
+                ? getServiceMatcher(nodeOrAttribute.service, nodeOrAttribute.parameters.value, nodeOrAttribute.parameters)
+                : getNodeMatcher(nodeOrAttribute, attributeTypes, now)
+
+    return removeNodes(request.query, matcher)
+}
+
+/*
+ * Remove multiple refinements from an existing Search API request. The 'refinements' input parameter has the same
+ * format as for addRefinements:
+
+    refinements=[
+        {
+            attribute: "rcsb_entry_info.resolution_combined",
+            values: [
+                "*-0.5",
+                "0.5-1.0"
+            ]
+        }
+    ]
+
+ * If 'values' is omitted, all refinements for the attribute are removed. A refinement with 'exclude: true' only
+ * removes excluded values, and one with 'exclude: false' only included values. A refinement with a 'nestedAttribute'
+ * only removes the values with these nested attribute conditions, and one with a date 'interval' converts its values
+ * with this interval - see removeRefinement. Service refinements, with a 'service'
+ * instead of an 'attribute', are matched by value and any 'parameters' passed, or all refinements for the service are
+ * removed if 'values' is omitted.
+ *
+ * Returns the number of refinement nodes removed.
+ *
+ * @param {object} request
+ * @param {object} refinements
+ * @param {object} options
+ * @public
+*/
+function removeRefinements(request, refinements, options = {}) {
+    let count = 0
+
+    refinements.forEach(refinement => {
+        const { attribute, values, exclude, nestedAttribute, interval } = refinement
+            , refinementOptions = Object.assign({}, options)
+
+        if (typeof exclude !== 'undefined') refinementOptions.exclude = exclude
+        if (typeof nestedAttribute !== 'undefined') refinementOptions.nestedAttribute = nestedAttribute
+        if (typeof interval !== 'undefined') refinementOptions.interval = interval
+
+        if (isServiceRefinement(refinement)) count += removeServiceRefinement(request, refinement)
+        else if (values) values.forEach(value => { count += removeRefinement(request, attribute, value, refinementOptions) })
+        else count += removeRefinement(request, attribute, undefined, refinementOptions)
+    })
+
+    return count
+}
+
+// private functions
+
+function removeServiceRefinement(request, refinement) {
+    const { service, values, parameters } = refinement
+
+    if (!values) return removeNodes(request.query, getServiceMatcher(service))
+
+    let count = 0
+
+    values.forEach(value => { count += removeNodes(request.query, getServiceMatcher(service, value, parameters)) })
+
+    return count
+}
+
+/*
+    Remove all nodes accepted by 'matcher' from the group nodes labelled 'matcher.label' below 'node'. Group nodes that are left
+    empty as a result are removed from their parent. Returns the number of nodes removed.
+*/
+function removeNodes(node, matcher) {
+    let count = 0
+
+    if (!node || node.type !== GROUP) return count
+
+    const { nodes } = node
+
+    for (let i = nodes.length - 1; i >= 0; i--) {
+        const child = nodes[i]
+
+        if (child.type !== GROUP) continue
+
+        let removed = 0
+
+        if (child.label === matcher.label) removed = removeAttributeNodes(child, matcher)
+        else removed = removeNodes(child, matcher)
+
+        if (removed && child.nodes.length === 0) nodes.splice(i, 1)
+
+        count += removed
+    }
+
+    return count
+}
+
+// remove matching terminal or group nodes, and matching values of 'in' terminal nodes, from an attribute group node
+function removeAttributeNodes(attributeNode, matcher) {
+    let count = 0
+
+    attributeNode.nodes = attributeNode.nodes.filter(n => {
+        if (matcher.matches(n)) {
+            count++
+            return false
+        }
+
+        const removed = matcher.removeValues ? matcher.removeValues(n) : 0
+
+        count += removed
+
+        return !(removed && n.parameters.value.length === 0)
+    })
+
+    return count
+}
+
+/*
+    Return a matcher for an attribute and value. A node matches if it is a terminal node with matching parameters,
+    or a group node (facet filter or nested attribute pair) whose first node has matching parameters. A refinement
+    panel value is converted to parameters with the attribute type entry 'attributeType', and also matches a node with
+    the same value and any operator. If an 'operator' is passed (a node passed to removeRefinement), only nodes with
+    the same operator and value match. If 'exclude' is a boolean, only nodes with (true) or without (false) 'negation'
+    match. If 'qualifiers' is a list of parameters, only group nodes whose other nodes match these parameters, in any
+    order, match.
+*/
+function getValueMatcher(attribute, value, attributeType, exclude, qualifiers, now, operator) {
+    const loose = typeof operator === 'undefined'
+        , parsed = !loose ? { operator, value } : (typeof value === 'string') ? getParameters(attribute, value, attributeType, now) : null
+        , inScope = (parameters) => typeof exclude === 'undefined' || !!parameters.negation === exclude
+
+    const matchesParameters = (parameters) => {
+        if (!parameters || parameters.attribute !== attribute || !inScope(parameters)) return false
+        if (typeof value === 'undefined') return true
+        if (loose && isEqual(parameters.value, value)) return true
+        return parsed !== null && parsed.operator === parameters.operator && isEqual(parsed.value, parameters.value)
+    }
+
+    // remove the value from an 'in' terminal node for the attribute - returns the number of values removed
+    const removeValues = (node) => {
+        const { parameters } = node
+
+        if (typeof value === 'undefined' || qualifiers || node.type !== TERMINAL || !parameters || parameters.attribute !== attribute
+            || !inScope(parameters) || parameters.operator !== IN || !Array.isArray(parameters.value)) return 0
+
+        const length = parameters.value.length
+
+        parameters.value = parameters.value.filter(v => !(loose && isEqual(v, value))
+            && !(parsed !== null && parsed.operator === EXACT_MATCH && isEqual(parsed.value, v)))
+
+        return length - parameters.value.length
+    }
+
+    return {
+          label: attribute
+        , matches: (node) => {
+            if (node.type === TERMINAL) return !qualifiers && matchesParameters(node.parameters)
+            return node.type === GROUP && node.nodes.length > 0 && matchesParameters(node.nodes[0].parameters)
+                && (!qualifiers || matchesQualifiers(node.nodes.slice(1), qualifiers))
+        }
+        , removeValues
+    }
+}
+
+// return the parameters for a refinement panel value, or null if it is not valid for the attribute type - it matches no node
+function getParameters(attribute, value, attributeType, now) {
+    try {
+        return setParameters(attribute, value, attributeType, { now })
+    } catch (err) {
+        if (err instanceof RefinementValueError) return null
+        throw err
+    }
+}
+
+/*
+    Return true if each node matches one of the qualifiers, and each qualifier matches one of the nodes. A qualifier is
+    a parameters object, or a group node (a facet filter group node) that must be equal to the node.
+*/
+function matchesQualifiers(nodes, qualifiers) {
+    const matches = (node, qualifier) => (qualifier.type === GROUP) ? isEqual(node, qualifier)
+        : !!node.parameters && Object.keys(qualifier).every(key => isEqual(node.parameters[key], qualifier[key]))
+
+    return nodes.length === qualifiers.length
+        && nodes.every(n => qualifiers.some(parameters => matches(n, parameters)))
+        && qualifiers.every(parameters => nodes.some(n => matches(n, parameters)))
+}
+
+/*
+    Return a matcher for a 'terminal' or nested attribute 'group' node as passed to addRefinement. Nodes match if they
+    have the same operator and value - a node without an operator matches as a refinement panel value, converted with
+    the 'attributeTypes' registry and 'now' of removeRefinement. An excluded
+    node, with 'negation: true', only matches excluded nodes and an included node only matches included nodes.
+*/
+function getNodeMatcher(node, attributeTypes, now) {
+    if (node.type === TERMINAL) {
+        const { attribute, value, operator, negation } = node.parameters
+        return getValueMatcher(attribute, value, attributeTypes.get(attribute), !!negation, undefined, now, operator)
+    }
+
+    const { attribute, value, operator, negation } = node.nodes[0].parameters
+
+    return getValueMatcher(attribute, value, attributeTypes.get(attribute), !!negation,
+        node.nodes.slice(1).map(n => (n.type === GROUP) ? n : n.parameters), now, operator)
+}
+
+/*
+    Return a matcher for a service refinement. A node matches if it is a terminal node for the service with the same
+    value, after applying the default parameters, and the same 'parameters'. If no value is passed, all nodes for the
+    service match.
+*/
+function getServiceMatcher(service, value, parameters = {}) {
+    const expected = (typeof value === 'undefined') ? null : getServiceNode(service, value, parameters).parameters
+
+    return {
+          label: LABEL_SERVICE_REFINEMENTS
+        , matches: (node) => {
+            if (node.type !== TERMINAL || node.service !== service) return false
+            if (expected === null) return true
+            return isEqual(node.parameters.value, expected.value)
+                && Object.keys(parameters).every(key => isEqual(node.parameters[key], expected[key]))
+        }
+    }
+}
@@ -0,0 +1,551 @@
+const { GROUP, TERMINAL, RETURN_TYPES, TYPE_NUMBER, TYPE_INTEGER, TYPE_DATE } = require('./constants')
+    , { attributeTypes: defaultAttributeTypes } = require('./attribute-types')
+    , { createContext } = require('./context')
+    , { isDateBucket } = require('./dates')
+    , { RequestValidationError } = require('./errors')
+    , { validateRequest } = require('./validate')
+    , { deepClone } = require('./utils')
+
+/*
+ * Module exports.
+ * @public
+ */
+module.exports = {
+      addFacet
+    , removeFacet
+    , resetPaging
+    , setGroupBy
+    , setPaging
+    , setReturnType
+    , setSort
+    , validateRequestOptions
+}
+
+const SORT_BY_SCORE = 'score'
+    , DIRECTIONS = ['asc', 'desc']
+    , AGGREGATION_TYPES = ['terms', 'histogram', 'date_histogram', 'filter']
+    , RESULTS_CONTENT_TYPES = ['experimental', 'computational']
+    , GROUP_BY_RETURN_TYPES = ['representatives', 'groups']
+    // the return types each group_by aggregation method is valid for
+    , AGGREGATION_METHODS = {
+          matching_deposit_group_id: ['entry']
+        , sequence_identity: ['polymer_entity']
+        , matching_uniprot_accession: ['polymer_entity']
+    }
+    , SIMILARITY_CUTOFFS = [100, 95, 90, 70, 50, 30]
+    , RESULTS_VERBOSITIES = ['compact', 'minimal', 'verbose']
+    , BOOLEAN_OPTIONS = ['return_all_hits', 'return_counts', 'return_explain_metadata']
+
+/*
+ * Set the page of results returned for a Search API request. 'start' is the zero-based index of the first result and
+ * 'rows' the number of results per page.
+ *
+ * Throws a RequestValidationError if 'start' is not a non-negative integer or 'rows' is not a positive integer.
+ *
+ * @param {object} request
+ * @param {number} start
+ * @param {number} rows
+ * @public
+ *
+ * Example:
+ *
+ *  setPaging(request, 25, 25) // second page of 25 results
+ */
+function setPaging(request, start = 0, rows = 25) {
+    const errors = []
+
+    checkPaging(errors, start, rows)
+    assertNoErrors(errors)
+
+    getRequestOptions(request).paginate = { start, rows }
+}
+
+/*
+ * Set the sort order of a Search API request. 'sort' is an attribute name, a { sort_by, direction } object or a list
+ * of either. 'direction' is 'asc' or 'desc' - 'desc' by default. Results are sorted by relevance with sort_by 'score'.
+ * Pass null to remove the sort order.
+ *
+ * Attributes are checked against the metadata of the schema for the request 'return_type', if metadata is available -
+ * the global 'metadata' object, or the 'metadataProvider' in 'options'.
+ *
+ * Throws a RequestValidationError if an attribute or direction is not valid.
+ *
+ * @param {object} request
+ * @param {string|object|object[]} sort
+ * @param {object} options
+ * @public
+ *
+ * Examples:
+ *
+ *  setSort(request, 'rcsb_accession_info.initial_release_date')
+ *  setSort(request, [{ sort_by: 'rcsb_entry_info.resolution_combined', direction: 'asc' }, { sort_by: 'score' }])
+ */
+function setSort(request, sort, options = {}) {
+    if (sort === null || typeof sort === 'undefined') {
+        removeRequestOption(request, 'sort')
+        return
+    }
+
+    const state = getState(request, options)
+        , sortOptions = getSortOptions(sort)
+
+    checkSortOptions(state, sortOptions)
+    assertNoErrors(state.errors)
+
+    getRequestOptions(request).sort = sortOptions
+}
+
+/*
+ * Add a facet to a Search API request. Facets are passed in the Search API format, with 'aggregation_type' one of:
+ *
+ *  terms:              the number of results for each value of 'attribute'
+ *  histogram:          the number of results for each numeric 'interval' of 'attribute' - the attribute must be a
+ *                      number or integer
+ *  date_histogram:     the number of results for each 'interval' of a date 'attribute' - the interval must be 'year',
+ *                      'month' or 'day'
+ *  filter:             the 'facets' of the results matching the 'filter' node - added as { filter, facets }
+ *
+ * 'name' is the attribute by default. A facet replaces existing facets with the same name, including those in filter
+ * facets. Attributes are checked against the metadata as for setSort, and attribute types against the 'attributeTypes'
+ * registry in 'options', or the default registry.
+ *
+ * Throws a RequestValidationError if the facet is not valid.
+ *
+ * @param {object} request
+ * @param {object} facet
+ * @param {object} options
+ * @public
+ *
+ * Examples:
+ *
+ *  addFacet(request, { aggregation_type: 'terms', attribute: 'exptl.method', min_interval_population: 1 })
+ *  addFacet(request, { aggregation_type: 'histogram', attribute: 'rcsb_entry_info.resolution_combined', interval: 0.5 })
+ *  addFacet(request, {
+ *      aggregation_type: 'filter',
+ *      filter: { type: 'terminal', service: 'text', parameters: { attribute: 'rcsb_polymer_instance_annotation.type', operator: 'exact_match', value: 'CATH' } },
+ *      facets: [{ name: 'CATH', aggregation_type: 'terms', attribute: 'rcsb_polymer_instance_annotation.annotation_lineage.id' }]
+ *  })
+ */
+function addFacet(request, facet, options = {}) {
+    const facets = (request.request_options && request.request_options.facets) || []
+        , state = getState(request, options)
+        , result = getFacet(state, facet, '$.request_options.facets[' + facets.length + ']')
+
+    assertNoErrors(state.errors)
+
+    getFacetNames(result).forEach(name => removeFacet(request, name))
+
+    const requestOptions = getRequestOptions(request)
+
+    requestOptions.facets = (requestOptions.facets || []).concat([result])
+}
+
+/*
+ * Remove the facet named 'name' from a Search API request, including from filter facets. Filter facets left without
+ * facets are removed. Returns the number of facets removed.
+ *
+ * @param {object} request
+ * @param {string} name
+ * @public
+ */
+function removeFacet(request, name) {
+    const requestOptions = request.request_options
+
+    if (!requestOptions || !Array.isArray(requestOptions.facets)) return 0
+
+    const count = removeFacets(requestOptions.facets, name)
+
+    if (requestOptions.facets.length === 0) removeRequestOption(request, 'facets')
+
+    return count
+}
+
+/*
+ * Group the results of a Search API request. 'groupBy' is a Search API group_by object:
+ *
+ *  aggregation_method:     'matching_deposit_group_id' for 'entry' results, or 'sequence_identity' or
+ *                          'matching_uniprot_accession' for 'polymer_entity' results
+ *  similarity_cutoff:      percent sequence identity for 'sequence_identity' - 100, 95, 90, 70, 50 or 30
+ *  ranking_criteria_type:  optional { sort_by, direction } ranking of the members of each group
+ *
+ * 'groupByReturnType' is 'representatives' (one result per group, the default) or 'groups'. Pass null to remove the
+ * grouping.
+ *
+ * Throws a RequestValidationError if the aggregation method is not valid for the request 'return_type'.
+ *
+ * @param {object} request
+ * @param {object} groupBy
+ * @param {string} groupByReturnType
+ * @public
+ *
+ * Example:
+ *
+ *  setGroupBy(request, { aggregation_method: 'sequence_identity', similarity_cutoff: 95 })
+ */
+function setGroupBy(request, groupBy, groupByReturnType = 'representatives') {
+    if (groupBy === null || typeof groupBy === 'undefined') {
+        removeRequestOption(request, 'group_by')
+        removeRequestOption(request, 'group_by_return_type')
+        return
+    }
+
+    const errors = validateGroupBy(groupBy, getReturnType(request))
+
+    if (GROUP_BY_RETURN_TYPES.indexOf(groupByReturnType) === -1) {
+        addError(errors, '$.request_options.group_by_return_type', 'invalid_group_by',
+            'group_by_return_type must be one of ' + GROUP_BY_RETURN_TYPES.join(', '))
+    }
+
+    assertNoErrors(errors)
+
+    const requestOptions = getRequestOptions(request)
+
+    requestOptions.group_by = deepClone(groupBy)
+    requestOptions.group_by_return_type = groupByReturnType
+}
+
+/*
+ * Set the 'return_type' of a Search API request, and optionally the result content options:
+ *
+ *  results_content_type:   list of 'experimental' and/or 'computational' - the Search API returns experimental
+ *                          structures only by default
+ *  return_all_hits:        if true, all results are returned rather than a page of results
+ *
+ * Throws a RequestValidationError if the return type is not valid, or the request is grouped by an aggregation method
+ * that is not valid for the return type - remove the grouping with setGroupBy(request, null) first.
+ *
+ * @param {object} request
+ * @param {string} return_type
+ * @param {object} resultOptions
+ * @public
+ *
+ * Example:
+ *
+ *  setReturnType(request, 'polymer_entity', { results_content_type: ['experimental', 'computational'] })
+ */
+function setReturnType(request, return_type, resultOptions = {}) {
+    const errors = []
+        , { results_content_type, return_all_hits } = resultOptions
+        , groupBy = request.request_options && request.request_options.group_by
+
+    if (RETURN_TYPES.indexOf(return_type) === -1)
+        addError(errors, '$.return_type', 'invalid_return_type', "return_type '" + return_type + "' is not valid")
+    else if (groupBy) errors.push(...validateGroupBy(groupBy, return_type))
+
+    if (typeof results_content_type !== 'undefined') checkResultsContentType(errors, results_content_type)
+    if (typeof return_all_hits !== 'undefined') checkBoolean(errors, 'return_all_hits', return_all_hits)
+
+    assertNoErrors(errors)
+
+    request.return_type = return_type
+
+    if (typeof results_content_type !== 'undefined') getRequestOptions(request).results_content_type = results_content_type.slice()
+    if (typeof return_all_hits !== 'undefined') getRequestOptions(request).return_all_hits = return_all_hits
+}
+
+/*
+ * Validate the 'request_options' of a Search API request with the checks of the functions above: paging, sort order,
+ * facets, grouping and result options. Returns a list of errors in the format of validateRequest - an empty list if
+ * the options are valid or not set. Options not set by these functions must be 'results_verbosity' ('compact',
+ * 'minimal' or 'verbose'), 'return_counts' or 'return_explain_metadata' (booleans) or 'scoring_strategy' (a string) -
+ * other options are not valid. 'options' are the 'metadataProvider' and 'attributeTypes' used by setSort and addFacet.
+ *
+ * @param {object} request
+ * @param {object} options
+ * @private
+ */
+function validateRequestOptions(request, options = {}) {
+    const state = getState(request, options)
+        , requestOptions = request.request_options
+        , path = '$.request_options'
+
+    if (typeof requestOptions === 'undefined') return state.errors
+
+    if (!requestOptions || typeof requestOptions !== 'object' || Array.isArray(requestOptions)) {
+        addError(state.errors, path, 'invalid_request_options', 'request_options must be an object')
+        return state.errors
+    }
+
+    Object.keys(requestOptions).forEach(key => {
+        const value = requestOptions[key]
+
+        if (key === 'paginate') {
+            if (!value || typeof value !== 'object') addError(state.errors, path + '.paginate', 'invalid_paging', 'paginate must be an object')
+            else checkPaging(state.errors, value.start, value.rows)
+        } else if (key === 'sort') {
+            if (!Array.isArray(value)) addError(state.errors, path + '.sort', 'invalid_sort', 'sort must be an array')
+            else checkSortOptions(state, getSortOptions(value))
+        } else if (key === 'facets') {
+            if (!Array.isArray(value)) addError(state.errors, path + '.facets', 'invalid_facet', 'facets must be an array')
+            else value.forEach((facet, i) => getFacet(state, facet, path + '.facets[' + i + ']'))
+        } else if (key === 'group_by') {
+            state.errors.push(...validateGroupBy(value, getReturnType(request)))
+        } else if (key === 'group_by_return_type') {
+            if (GROUP_BY_RETURN_TYPES.indexOf(value) === -1) {
+                addError(state.errors, path + '.group_by_return_type', 'invalid_group_by',
+                    'group_by_return_type must be one of ' + GROUP_BY_RETURN_TYPES.join(', '))
+            }
+        } else if (key === 'results_content_type') {
+            checkResultsContentType(state.errors, value)
+        } else if (key === 'results_verbosity') {
+            if (RESULTS_VERBOSITIES.indexOf(value) === -1) {
+                addError(state.errors, path + '.results_verbosity', 'invalid_results_verbosity',
+                    'results_verbosity must be one of ' + RESULTS_VERBOSITIES.join(', '))
+            }
+        } else if (BOOLEAN_OPTIONS.indexOf(key) !== -1) {
+            checkBoolean(state.errors, key, value)
+        } else if (key === 'scoring_strategy') {
+            if (typeof value !== 'string') addError(state.errors, path + '.scoring_strategy', 'invalid_scoring_strategy', 'scoring_strategy must be a string')
+        } else {
+            addError(state.errors, path + '.' + key, 'unknown_request_option', "request option '" + key + "' is not valid")
+        }
+    })
+
+    return state.errors
+}
+
+/*
+ * Return to the first page of results, keeping the number of rows. Used by the search request tools when the
+ * 'resetPaging' option is set and a refinement is added or removed.
+ *
+ * @param {object} request
+ * @private
+ */
+function resetPaging(request) {
+    const requestOptions = request.request_options
+    if (requestOptions && requestOptions.paginate) requestOptions.paginate.start = 0
+}
+
+// private functions
+
+function getRequestOptions(request) {
+    if (!request.request_options) request.request_options = {}
+    return request.request_options
+}
+
+// remove an option, and 'request_options' if it is left empty
+function removeRequestOption(request, key) {
+    const requestOptions = request.request_options
+
+    if (!requestOptions) return
+
+    delete requestOptions[key]
+
+    if (Object.keys(requestOptions).length === 0) delete request.request_options
+}
+
+function getReturnType(request) {
+    return request.return_type || 'entry'
+}
+
+// return the state used to check attributes against the metadata of the schema for the request return type
+function getState(request, options) {
+    const schema = (getReturnType(request) === 'mol_definition') ? 'chemical' : 'structure'
+
+    return {
+          errors: []
+        , schema
+        , metadata: createContext({ metadataProvider: options.metadataProvider }).findMetadata(schema)
+        , metadataProvider: options.metadataProvider
+        , attributeTypes: options.attributeTypes || defaultAttributeTypes
+    }
+}
+
+function addError(errors, path, code, message) {
+    errors.push({ path, code, message })
+}
+
+function assertNoErrors(errors) {
+    if (errors.length) throw new RequestValidationError(errors)
+}
+
+function checkPaging(errors, start, rows) {
+    const path = '$.request_options.paginate'
+
+    if (!isInteger(start) || start < 0) addError(errors, path + '.start', 'invalid_paging', 'start must be a non-negative integer')
+    if (!isInteger(rows) || rows < 1) addError(errors, path + '.rows', 'invalid_paging', 'rows must be a positive integer')
+}
+
+// return a list of { sort_by, direction } objects for an attribute name, a sort object or a list of either
+function getSortOptions(sort) {
+    return (Array.isArray(sort) ? sort : [sort]).map(s => {
+        const sortOption = (typeof s === 'string') ? { sort_by: s } : Object.assign({}, s)
+
+        if (!sortOption.direction) sortOption.direction = 'desc'
+
+        return sortOption
+    })
+}
+
+function checkSortOptions(state, sortOptions) {
+    sortOptions.forEach((s, i) => {
+        const path = '$.request_options.sort[' + i + ']'
+
+        if (typeof s.sort_by !== 'string') addError(state.errors, path + '.sort_by', 'invalid_sort', 'sort_by must be a string')
+        else if (s.sort_by !== SORT_BY_SCORE) checkAttribute(state, s.sort_by, path + '.sort_by')
+
+        if (DIRECTIONS.indexOf(s.direction) === -1)
+            addError(state.errors, path + '.direction', 'invalid_sort', 'direction must be one of ' + DIRECTIONS.join(', '))
+    })
+}
+
+function checkResultsContentType(errors, results_content_type) {
+    if (!Array.isArray(results_content_type) || results_content_type.length === 0
+        || results_content_type.some(type => RESULTS_CONTENT_TYPES.indexOf(type) === -1)) {
+        addError(errors, '$.request_options.results_content_type', 'invalid_results_content_type',
+            'results_content_type must be a non-empty list of ' + RESULTS_CONTENT_TYPES.join(', '))
+    }
+}
+
+function checkBoolean(errors, key, value) {
+    if (typeof value !== 'boolean') addError(errors, '$.request_options.' + key, 'invalid_' + key, key + ' must be a boolean')
+}
+
+// return the uiAttrMap object for an attribute, or null - adds an error if metadata is available and the attribute is not in it
+function checkAttribute(state, attribute, path) {
+    if (!state.metadata) return null
+
+    const attrObj = state.metadata.uiAttrMap[attribute]
+
+    if (!attrObj) {
+        addError(state.errors, path, 'unknown_attribute', "attribute '" + attribute + "' is not in the " + state.schema + ' metadata')
+        return null
+    }
+
+    return attrObj
+}
+
+/*
+    Return a copy of a facet in the Search API format. Filter facets, with aggregation_type 'filter' or in the Search
+    API format { filter, facets }, are returned as { filter, facets }.
+*/
+function getFacet(state, facet, path) {
+    if (!facet || typeof facet !== 'object') {
+        addError(state.errors, path, 'invalid_facet', 'facet must be an object')
+        return null
+    }
+
+    const aggregationType = isFilterFacet(facet) ? 'filter' : facet.aggregation_type
+
+    if (AGGREGATION_TYPES.indexOf(aggregationType) === -1) {
+        addError(state.errors, path + '.aggregation_type', 'invalid_facet', 'aggregation_type must be one of ' + AGGREGATION_TYPES.join(', '))
+        return null
+    }
+
+    if (aggregationType === 'filter') return getFilterFacet(state, facet, path)
+
+    const { attribute, interval, min_interval_population, max_num_intervals } = facet
+        , result = Object.assign({}, facet, { name: facet.name || attribute })
+
+    if (typeof attribute !== 'string') {
+        addError(state.errors, path + '.attribute', 'invalid_facet', 'attribute must be a string')
+        return result
+    }
+
+    const attrObj = checkAttribute(state, attribute, path + '.attribute')
+        , { type } = state.attributeTypes.get(attribute, attrObj)
+
+    if (aggregationType === 'histogram') {
+        if (type !== TYPE_NUMBER && type !== TYPE_INTEGER)
+            addError(state.errors, path + '.attribute', 'invalid_facet', "attribute '" + attribute + "' must be a number for a histogram facet")
+        if (typeof interval !== 'number' || !(interval > 0))
+            addError(state.errors, path + '.interval', 'invalid_facet', 'interval must be a positive number')
+    } else if (aggregationType === 'date_histogram') {
+        if (type !== TYPE_DATE)
+            addError(state.errors, path + '.attribute', 'invalid_facet', "attribute '" + attribute + "' must be a date for a date_histogram facet")
+        if (!isDateBucket(interval))
+            addError(state.errors, path + '.interval', 'invalid_facet', "interval must be 'year', 'month' or 'day'")
+    }
+
+    if (typeof min_interval_population !== 'undefined' && (!isInteger(min_interval_population) || min_interval_population < 0))
+        addError(state.errors, path + '.min_interval_population', 'invalid_facet', 'min_interval_population must be a non-negative integer')
+
+    if (typeof max_num_intervals !== 'undefined' && (!isInteger(max_num_intervals) || max_num_intervals < 1))
+        addError(state.errors, path + '.max_num_intervals', 'invalid_facet', 'max_num_intervals must be a positive integer')
+
+    return result
+}
+
+function getFilterFacet(state, facet, path) {
+    const { filter, facets } = facet
+
+    if (!filter || (filter.type !== GROUP && filter.type !== TERMINAL)) {
+        addError(state.errors, path + '.filter', 'invalid_facet', 'filter must be a terminal or group node')
+    } else {
+        // the filter node is validated as the query of a request, so error paths are rewritten to the facet
+        validateRequest({ query: filter }, { schema: state.schema, metadataProvider: state.metadataProvider })
+            .forEach(error => state.errors.push(Object.assign({}, error, { path: error.path.replace('$.query', path + '.filter') })))
+    }
+
+    if (!Array.isArray(facets) || facets.length === 0) {
+        addError(state.errors, path + '.facets', 'invalid_facet', 'facets must be a non-empty array')
+        return { filter: deepClone(filter), facets: [] }
+    }
+
+    return {
+          filter: deepClone(filter)
+        , facets: facets.map((f, i) => getFacet(state, f, path + '.facets[' + i + ']'))
+    }
+}
+
+function isFilterFacet(facet) {
+    return facet.aggregation_type === 'filter' || (typeof facet.aggregation_type === 'undefined' && !!facet.filter)
+}
+
+// return the names of a facet and the facets of a filter facet
+function getFacetNames(facet) {
+    return isFilterFacet(facet) ? [].concat(...facet.facets.map(getFacetNames)) : [facet.name]
+}
+
+// remove facets named 'name' from a list of facets, and filter facets left without facets - returns the number removed
+function removeFacets(facets, name) {
+    let count = 0
+
+    for (let i = facets.length - 1; i >= 0; i--) {
+        const facet = facets[i]
+
+        if (isFilterFacet(facet) && Array.isArray(facet.facets)) {
+            const removed = removeFacets(facet.facets, name)
+            if (removed && facet.facets.length === 0) facets.splice(i, 1)
+            count += removed
+        } else if (facet.name === name) {
+            facets.splice(i, 1)
+            count++
+        }
+    }
+
+    return count
+}
+
+// return a list of errors for a group_by object and return type
+function validateGroupBy(groupBy, return_type) {
+    const errors = []
+        , path = '$.request_options.group_by'
+        , { aggregation_method, similarity_cutoff, ranking_criteria_type } = groupBy || {}
+        , returnTypes = AGGREGATION_METHODS[aggregation_method]
+
+    if (!returnTypes) {
+        addError(errors, path + '.aggregation_method', 'invalid_group_by',
+            'aggregation_method must be one of ' + Object.keys(AGGREGATION_METHODS).join(', '))
+        return errors
+    }
+
+    if (returnTypes.indexOf(return_type) === -1) {
+        addError(errors, path + '.aggregation_method', 'invalid_group_by',
+            "aggregation_method '" + aggregation_method + "' is not valid for return_type '" + return_type + "'")
+    }
+
+    if (aggregation_method === 'sequence_identity' && SIMILARITY_CUTOFFS.indexOf(similarity_cutoff) === -1)
+        addError(errors, path + '.similarity_cutoff', 'invalid_group_by', 'similarity_cutoff must be one of ' + SIMILARITY_CUTOFFS.join(', '))
+
+    if (ranking_criteria_type && ranking_criteria_type.direction && DIRECTIONS.indexOf(ranking_criteria_type.direction) === -1) {
+        addError(errors, path + '.ranking_criteria_type.direction', 'invalid_group_by',
+            'direction must be one of ' + DIRECTIONS.join(', '))
+    }
+
+    return errors
+}
+
+function isInteger(n) {
+    return typeof n === 'number' && isFinite(n) && Math.floor(n) === n
+}
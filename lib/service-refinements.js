@@ -0,0 +1,120 @@
+const { TERMINAL, AND, OR, LABEL_GROUPS_REFINEMENTS, LABEL_SERVICE_REFINEMENTS } = require('./constants')
+    , { getGroupNode, getQueryNode, getTerminalNode } = require('./nodes')
+    , { deepClone, isEqual } = require('./utils')
+
+/*
+ * Module exports.
+ * @private
+ */
+module.exports = {
+      addServiceNode
+    , addServiceRefinement
+    , getServiceNode
+    , isServiceRefinement
+}
+
+/*
+    Default parameters for each service that can be used as a refinement - each function returns the terminal node
+    parameters for a value and the parameters passed with the refinement, which override the defaults.
+*/
+const SERVICE_PARAMETERS = {
+      sequence: (value, p) => Object.assign({ evalue_cutoff: 0.1, identity_cutoff: 0, sequence_type: 'protein' }, p, { value })
+    , seqmotif: (value, p) => Object.assign({ pattern_type: 'simple', sequence_type: 'protein' }, p, { value })
+    , structure: (value, p) => Object.assign({ operator: 'strict_shape_match' }, p, { value: getStructureValue(value) })
+    , chemical: (value, p) => {
+        const defaults = (p.type === 'formula')
+            ? { type: 'formula', match_subset: false }
+            : { type: 'descriptor', descriptor_type: 'SMILES', match_type: 'graph-relaxed' }
+        return Object.assign(defaults, p, { value })
+    }
+    , full_text: (value, p) => Object.assign({}, p, { value })
+}
+
+const SERVICE_REFINEMENT_SERVICES = Object.keys(SERVICE_PARAMETERS)
+
+/*
+ * Return true if a refinement, as passed to addRefinements or removeRefinements, or a terminal node, as passed to
+ * addRefinement or removeRefinement, is for a service other than 'text' or 'text_chem'.
+ *
+ * @param {object} refinementOrNode
+ * @private
+ */
+function isServiceRefinement(refinementOrNode) {
+    const { type, service } = refinementOrNode
+    return (!type || type === TERMINAL) && SERVICE_REFINEMENT_SERVICES.indexOf(service) !== -1
+}
+
+/*
+ * Return the terminal node for a service refinement value. The parameters default to:
+ *
+ *  sequence:   { evalue_cutoff: 0.1, identity_cutoff: 0, sequence_type: 'protein' }
+ *  seqmotif:   { pattern_type: 'simple', sequence_type: 'protein' }
+ *  structure:  { operator: 'strict_shape_match' } - a string value is an entry id, e.g. '4HHB' is
+ *              { entry_id: '4HHB', assembly_id: '1' }
+ *  chemical:   { type: 'descriptor', descriptor_type: 'SMILES', match_type: 'graph-relaxed' }, or
+ *              { type: 'formula', match_subset: false } if 'type' is 'formula'
+ *  full_text:  none
+ *
+ * @param {string} service
+ * @param {*} value
+ * @param {object} parameters
+ * @private
+ */
+function getServiceNode(service, value, parameters = {}) {
+    if (SERVICE_REFINEMENT_SERVICES.indexOf(service) === -1)
+        throw new Error('Refinements are not supported for service: ' + service)
+
+    return getTerminalNode(service, SERVICE_PARAMETERS[service](deepClone(value), deepClone(parameters)))
+}
+
+/*
+ * Add a service terminal node to the request. The node is added to a LABEL_SERVICE_REFINEMENTS group node in the
+ * LABEL_GROUPS_REFINEMENTS group node of the service group node, so refinements for the same service are combined
+ * with 'or', like refinement values for an attribute. The node is NOT added if a node with the same parameters is
+ * found. Returns true if the node was added.
+ *
+ * @param {object} request
+ * @param {object} node
+ * @private
+ */
+function addServiceNode(request, node) {
+    const serviceNode = getGroupNode(getQueryNode(request), node.service, AND)
+        , refinementNode = getGroupNode(serviceNode, LABEL_GROUPS_REFINEMENTS, AND)
+        , serviceRefinementsNode = getGroupNode(refinementNode, LABEL_SERVICE_REFINEMENTS, OR)
+
+    if (serviceRefinementsNode.nodes.some(n => n.service === node.service && isEqual(n.parameters, node.parameters))) return false
+
+    serviceRefinementsNode.nodes.push(node)
+
+    return true
+}
+
+/*
+ * Add a service refinement, as passed to addRefinements, to the request:
+
+    {
+        service: "sequence",
+        values: [
+            "MVLSPADKTNVKAAWGKVGAHAGEYGAEALERMFLSFPTTKTYFPHF"
+        ],
+        parameters: {
+            identity_cutoff: 0.9
+        }
+    }
+
+ * @param {object} request
+ * @param {object} refinement
+ * @private
+ */
+function addServiceRefinement(request, refinement) {
+    const { service, values, parameters } = refinement
+
+    values.forEach(value => addServiceNode(request, getServiceNode(service, value, parameters)))
+}
+
+// private functions
+
+function getStructureValue(value) {
+    if (typeof value === 'string') return { entry_id: value.toUpperCase(), assembly_id: '1' }
+    return value
+}
@@ -0,0 +1,309 @@
+const { RequestDecodeError } = require('./errors')
+    , { deepClone } = require('./utils')
+
+/*
+ * Module exports.
+ * @private
+ */
+module.exports = {
+    createStateClass
+}
+
+const DEFAULT_MAX_HISTORY = 50
+
+/*
+ * Return the SearchRequestState class for a front-end - 'createSearchRequestTools' of lib/sync.js or lib/async.js.
+ * The class is the same for both, except that the add functions of the async class return a promise.
+ *
+ * @param {function} createSearchRequestTools
+ * @private
+ */
+function createStateClass(createSearchRequestTools) {
+    /*
+     * A Search API request shared by several widgets (e.g. the refinement panel, the groups landing page and the query
+     * builder), with change events and undo/redo. The request is never modified: each operation replaces it with a
+     * new request (see the 'immutable' option of createSearchRequestTools), so 'state.request' can be compared by
+     * reference to detect changes.
+     *
+     * options:
+     *
+     *  maxHistory:     the number of undo (and redo) steps kept - 50 by default, 0 for no history
+     *  ...             any other option of createSearchRequestTools, e.g. metadataProvider, strict or resetPaging
+     *
+     * Listeners added with on('change', listener) are called after each change with an event object:
+     *
+     *  type:           'add', 'remove', 'clear', 'set', 'undo' or 'redo'
+     *  request:        the new request
+     *  previous:       the request before the change
+     *  attributes:     the attributes with refinements added, removed or changed
+     *  services:       the services with refinements added, removed or changed
+     *  diff:           the diff between the requests - see diffRequests
+     *
+     * An operation that does not change the request is not added to the history and does not emit an event.
+     *
+     * @param {object} request
+     * @param {object} options
+     * @public
+     *
+     * Example:
+     *
+     *  const state = new SearchRequestState(request, { metadataProvider })
+     *  state.on('change', ({ attributes }) => panel.update(state.request, attributes))
+     *  state.addRefinements([{ attribute: 'exptl.method', values: ['ELECTRON MICROSCOPY'] }])
+     *  state.undo()
+     */
+    class SearchRequestState {
+        constructor(request, options = {}) {
+            const { maxHistory = DEFAULT_MAX_HISTORY, ...toolsOptions } = options
+
+            this.request = request
+            this.maxHistory = maxHistory
+            this.tools = createSearchRequestTools(Object.assign({}, toolsOptions, { immutable: true }))
+            this.undoStack = []
+            this.redoStack = []
+            this.listeners = {}
+            this.pending = null
+        }
+
+        /*
+         * Return a state restored from the object returned by serialize(), e.g. after a page reload. Throws a
+         * RequestDecodeError if it is not a serialized state.
+         *
+         * @param {object} serialized
+         * @param {object} options
+         * @public
+         */
+        static restore(serialized, options = {}) {
+            const { request, undo, redo } = serialized || {}
+
+            if (!isObject(request) || !isRequestList(undo) || !isRequestList(redo))
+                throw new RequestDecodeError('Invalid serialized search request state')
+
+            const state = new this(deepClone(request), options)
+
+            state.undoStack = undo.slice(Math.max(0, undo.length - state.maxHistory)).map(deepClone)
+            state.redoStack = redo.slice(Math.max(0, redo.length - state.maxHistory)).map(deepClone)
+
+            return state
+        }
+
+        // add a refinement node - see addRefinement
+        addRefinement(node, schema, service) {
+            return this.update('add', request => this.tools.addRefinement(request, node, schema, service))
+        }
+
+        // add refinements - see addRefinements. Returns a promise for the async class.
+        addRefinements(refinements, result_type) {
+            return this.update('add', request => this.tools.addRefinements(request, refinements, result_type))
+        }
+
+        // remove a refinement node or attribute value - see removeRefinement
+        removeRefinement(nodeOrAttribute, value) {
+            return this.update('remove', request => this.tools.removeRefinement(request, nodeOrAttribute, value))
+        }
+
+        // remove refinements - see removeRefinements
+        removeRefinements(refinements) {
+            return this.update('remove', request => this.tools.removeRefinements(request, refinements))
+        }
+
+        /*
+         * Remove all refinements for 'attributes' (attribute names or services), or all attribute and service
+         * refinements if no attributes are passed. The base query is not modified.
+         *
+         * @param {string[]} attributes
+         * @public
+         */
+        clearRefinements(attributes) {
+            return this.update('clear', request => {
+                if (!request.query) return request
+
+                const { refinements, facetFilterRefinements, nestedAttributeRefinements, serviceRefinements } = this.tools.getRefinements(request)
+                    , selected = (name) => !attributes || attributes.indexOf(name) !== -1
+                    , remove = []
+
+                refinements.concat(facetFilterRefinements, nestedAttributeRefinements).forEach(({ attribute }) => {
+                    if (selected(attribute) && !remove.some(r => r.attribute === attribute)) remove.push({ attribute })
+                })
+                serviceRefinements.forEach(({ service }) => {
+                    if (selected(service) && !remove.some(r => r.service === service)) remove.push({ service })
+                })
+
+                return (remove.length > 0) ? this.tools.removeRefinements(request, remove) : request
+            })
+        }
+
+        // replace the request, e.g. with a request from the query builder
+        setRequest(request) {
+            return this.update('set', () => request)
+        }
+
+        /*
+         * Return to the request before the last change. Returns the current request.
+         *
+         * @public
+         */
+        undo() {
+            if (this.undoStack.length === 0) return this.request
+
+            const previous = this.request
+
+            this.redoStack.push(previous)
+            this.request = this.undoStack.pop()
+            this.emit('undo', previous)
+
+            return this.request
+        }
+
+        /*
+         * Apply the last change undone again. Returns the current request.
+         *
+         * @public
+         */
+        redo() {
+            if (this.redoStack.length === 0) return this.request
+
+            const previous = this.request
+
+            this.undoStack.push(previous)
+            this.request = this.redoStack.pop()
+            this.emit('redo', previous)
+
+            return this.request
+        }
+
+        canUndo() {
+            return this.undoStack.length > 0
+        }
+
+        canRedo() {
+            return this.redoStack.length > 0
+        }
+
+        /*
+         * Add a listener for 'change' events. Returns a function that removes the listener.
+         *
+         * @param {string} event
+         * @param {function} listener
+         * @public
+         */
+        on(event, listener) {
+            if (!this.listeners[event]) this.listeners[event] = []
+            this.listeners[event].push(listener)
+
+            return () => this.off(event, listener)
+        }
+
+        off(event, listener) {
+            const listeners = this.listeners[event] || []
+                , i = listeners.indexOf(listener)
+
+            if (i !== -1) listeners.splice(i, 1)
+        }
+
+        /*
+         * Return the request and its undo/redo history as a plain object that can be stored as JSON, e.g. in
+         * sessionStorage - see SearchRequestState.restore.
+         *
+         * @public
+         */
+        serialize() {
+            return {
+                  request: deepClone(this.request)
+                , undo: this.undoStack.map(deepClone)
+                , redo: this.redoStack.map(deepClone)
+            }
+        }
+
+        // private methods
+
+        /*
+            Replace the request with the request returned by 'fn', which may return a promise (async addRefinements).
+            While a promise is pending, further operations wait for it, so each operation is applied to the request
+            left by the one before.
+        */
+        update(type, fn) {
+            const run = () => {
+                const previous = this.request
+                    , result = fn(previous)
+
+                if (result && typeof result.then === 'function') return result.then(next => this.commit(type, previous, next))
+
+                return this.commit(type, previous, result)
+            }
+
+            if (!this.pending) {
+                const result = run()
+
+                if (result && typeof result.then === 'function') this.setPending(result)
+
+                return result
+            }
+
+            const result = this.pending.then(run)
+
+            this.setPending(result)
+
+            return result
+        }
+
+        setPending(promise) {
+            const pending = promise.then(() => undefined, () => undefined)
+                , done = () => { if (this.pending === pending) this.pending = null }
+
+            this.pending = pending
+            pending.then(done)
+        }
+
+        commit(type, previous, next) {
+            if (next === previous) return next
+
+            if (this.maxHistory > 0) {
+                this.undoStack.push(previous)
+                if (this.undoStack.length > this.maxHistory) this.undoStack.shift()
+            }
+            this.redoStack = []
+            this.request = next
+            this.emit(type, previous)
+
+            return next
+        }
+
+        emit(type, previous) {
+            const listeners = (this.listeners.change || []).slice()
+
+            if (listeners.length === 0) return
+
+            const diff = this.tools.diffRequests(previous, this.request)
+                , event = Object.assign({ type, request: this.request, previous }, getAffected(diff), { diff })
+
+            listeners.forEach(listener => listener(event))
+        }
+    }
+
+    return SearchRequestState
+}
+
+// private functions
+
+// return the attributes and services with refinements that differ in a diff
+function getAffected(diff) {
+    const attributes = []
+        , services = []
+        , { added, removed, changed } = diff.refinements
+
+    added.concat(removed, changed).forEach(({ attribute, service }) => {
+        if (attribute && attributes.indexOf(attribute) === -1) attributes.push(attribute)
+        if (service && services.indexOf(service) === -1) services.push(service)
+    })
+
+    return { attributes, services }
+}
+
+function isObject(o) {
+    return typeof o === 'object' && o !== null && !Array.isArray(o)
+}
+
+function isRequestList(list) {
+    return Array.isArray(list) && list.every(isObject)
+}
@@ -0,0 +1,258 @@
+const { attributeTypes } = require('./attribute-types')
+    , { createContext } = require('./context')
+    , { applyPatchOperations } = require('./diff')
+    , { createStateClass } = require('./state')
+    , { addRefinementNode, addRefinementNodes, createTools, getSchema } = require('./core')
+
+// the SearchRequestState class for these functions - created before the exports, since classes are not hoisted
+const SearchRequestState = createStateClass(createSearchRequestTools)
+
+/*
+ * Module exports.
+ * @private
+ */
+module.exports = {
+      addRefinement
+    , addRefinements
+    , applyPatch
+    , createSearchRequestTools
+    , invalidateAttributeData
+    , SearchRequestState
+}
+
+const defaultContext = createContext({ attributeTypes }) // uses the default attribute type registry and the global 'metadata' object
+
+/*
+ * Return an instance of the search request tools bound to its own context. The returned addRefinement and
+ * addRefinements functions read metadata from the 'metadataProvider' option instead of the global 'metadata' object.
+ *
+ * options:
+ *
+ *  metadataProvider:   an object keyed by schema, e.g. { structure: { uiAttrMap, facetFilters } }, or a function
+ *                      called with the schema that returns { uiAttrMap, facetFilters }
+ *  attributeTypes:     attribute type registry returned by createAttributeTypeRegistry, or an object of attribute
+ *                      types to create one from
+ *  strict:             if true, addRefinement and addRefinements validate the request with validateRequest and throw
+ *                      a RequestValidationError if it is invalid
+ *  immutable:          if true, the add and remove functions leave the input request, node and refinements untouched
+ *                      and return a new request. Unchanged subtrees of the new request are shared with the input.
+ *  resetPaging:        if true, adding or removing a refinement returns to the first page of results by setting the
+ *                      paging 'start' to 0
+ *
+ * The options for retrieving attribute data from the server (fetch, cache, baseUrl, headers, timeout, retries,
+ * retryDelay, ttl, batchDelay and fallbackMetadata) are not used by the synchronous functions - they are accepted for
+ * compatibility with index-async.js.
+ *
+ * @param {object} options
+ * @public
+ */
+function createSearchRequestTools(options = {}) {
+    return createTools(options, { addRefinement, addRefinements, applyPatch })
+}
+
+/*
+ * Add a refinement node to an existing Search API request. The refinement node will be added to an existing
+ * LABEL_GROUPS_REFINEMENTS node. If no LABEL_GROUPS_REFINEMENTS node is found, a new one will be created. The
+ * refinement node will NOT be added if a matching attribute/value pair is found.
+ *
+ * The input 'request' parameter query can be either of type 'terminal' or type 'group'. If it is of type 'terminal'
+ * the terminal node will be wrapped in an inner group node, a group node labelled with its service and an outer group
+ * node. The same applies to addRefinements.
+ *
+ * The input 'node' parameter can be either of type 'terminal' or type 'group'. If it is a 'group' node it must
+ * contain at least 2 terminal nodes, all but the first of which must be nested attributes corresponding to the
+ * attribute of the first node. A group node is NOT added if a group node with the same conditions is found, in any
+ * order - so the same value with different nested attributes (e.g. CATH and SCOP lineage ids) is added once for each.
+ *
+ * A terminal node for the 'sequence', 'seqmotif', 'structure', 'chemical' or 'full_text' service is added to a
+ * LABEL_SERVICE_REFINEMENTS node in the LABEL_GROUPS_REFINEMENTS node of its own service group node, and is NOT added
+ * if a node with the same parameters is found.
+ *
+ * A node whose (first) terminal node has 'negation: true' excludes the value: it is added to the attribute group node
+ * in the LABEL_GROUPS_EXCLUSIONS node of the service group node, and an inclusion of the same value is removed. In the
+ * same way, adding an included value removes its exclusion.
+ *
+ * Included values of an attribute are combined with 'or', or with 'and' if the uiAttrMap object of the attribute has
+ * 'match: "all"' - see addRefinements.
+ *
+ * @param {object} request
+ * @param {object} node
+ * @param {string} schema
+ * @param {string} service
+ * @public
+ *
+ * Example 'node' parameters:
+ *
+ *  terminal node:
+        {
+            "type": "terminal",
+            "service": "text",
+            "parameters": {
+                "attribute": "exptl.method",
+                "operator": "exact_match",
+                "value": "ELECTRON MICROSCOPY"
+            }
+        }
+
+ *  group node:
+        {
+            "type": "group",
+            "nodes": [
+                {
+                    "type": "terminal",
+                    "service": "text",
+                    "parameters": {
+                        "attribute": "rcsb_polymer_instance_annotation.annotation_lineage.id",
+                        "operator": "exact_match",
+                        "value": "2"
+                    }
+                },
+                {
+                    "type": "terminal",
+                    "service": "text",
+                    "parameters": {
+                        "attribute": "rcsb_polymer_instance_annotation.type",
+                        "operator": "exact_match",
+                        "value": "CATH"
+                    }
+                }
+            ],
+            "logical_operator": "and"
+        }
+*/
+function addRefinement(request, node, schema = 'structure', service = 'text', context = defaultContext) {
+    const primary = (node.type === 'group') ? node.nodes[0] : node
+        , attrObj = (primary && primary.parameters) ? getAttrObj(context, schema, primary.parameters.attribute) : null
+
+    addRefinementNode(request, node, schema, service, context, attrObj)
+}
+
+/*
+* Add a refinements node to an existing Search API request. Each call to this function will append a new
+* refinement node to the existing request. The 'refinements' input parameter is typically derived from
+* user selections in the Search UI Refinement Panel.
+*
+* Refinements are passed to the function in this format:
+
+    refinements=[
+        {
+            attribute: "rcsb_entity_source_organism.ncbi_scientific_name",
+            values: [
+                "Homo sapiens",
+                "Human immunodeficiency virus"
+            ]
+        },
+        {
+            attribute: "rcsb_entry_info.resolution_combined",
+            values: [
+                "*-0.5",
+                "0.5-1.0"
+            ]
+        }
+    ]
+
+    and are converted to the Search API request format:
+
+        {
+            "type": "terminal",
+            "service": "text",
+            "parameters": {
+                "attribute": "rcsb_entry_info.resolution_combined",
+                "value": 0.5,
+                "operator": "less"
+            }
+        },
+        {
+            "type": "terminal",
+            "service": "text",
+            "parameters": {
+                "attribute": "rcsb_entry_info.resolution_combined",
+                "operator": "range",
+                "value": {
+                    "from": 1,
+                    "to": 1.5,
+                    "include_lower": true,
+                    "include_upper": false
+                }
+            }
+        }
+
+    A refinement with a 'service' instead of an 'attribute' refines by the 'sequence', 'seqmotif', 'structure',
+    'chemical' or 'full_text' service. Each value is converted to a terminal node for the service, with default
+    parameters overridden by 'parameters', and added as for addRefinement:
+
+        {
+            service: "sequence",
+            values: [
+                "MVLSPADKTNVKAAWGKVGAHAGEYGAEALERMFLSFPTTKTYFPHF"
+            ],
+            parameters: {
+                identity_cutoff: 0.9
+            }
+        }
+
+    Values are excluded rather than included if the refinement has 'exclude: true', or for a single value passed as
+    { value, exclude: true }. Excluded values are added as 'negation' nodes to the LABEL_GROUPS_EXCLUSIONS node of the
+    service group node, not to the new refinement node, and are not added again if already excluded. Including a value
+    removes its exclusion and excluding a value removes its inclusion; a value both included and excluded in the same
+    call is excluded.
+
+    Numeric values may also be written as "[0.5,1.0]", "(,2.5]", ">=3" or "-1.5..-0.5" - see parseRange. A value that
+    is not valid for the attribute type throws a RefinementValueError, and the request is not modified.
+
+    The included values of an attribute are combined with 'or' - a result matches any of them. With 'match: "all"' in
+    the refinement, or in the uiAttrMap object of the attribute, they are combined with 'and', with the facet filter
+    applied to each value, e.g. for entries with both "Homo sapiens" and "Human immunodeficiency virus 1" as source
+    organisms. 'match: "any"' combines them with 'or' again. The attribute group nodes already in the request for the
+    attribute are switched to the 'match' of the refinement; without a 'match', they are kept as they are.
+*
+* @param {object} request
+* @param {object} refinements
+* @param {string} result_type
+* @public
+*/
+function addRefinements(request, refinements, result_type = 'entry', context = defaultContext) {
+    const schema = getSchema(result_type)
+
+    addRefinementNodes(request, refinements, result_type, context, attribute => {
+        const { uiAttrMap, facetFilters } = context.getMetadata(schema)
+        return { attrObj: uiAttrMap[attribute], facetFilter: facetFilters[attribute] }
+    })
+}
+
+/*
+ * Apply a patch returned by createPatch to an existing Search API request: options are set, base query parameters are
+ * replaced, and refinements are removed and then added with addRefinements for the 'return_type' of the request. Use
+ * diffRequests and createPatch to repeat the changes made to one request on another.
+ *
+ * @param {object} request
+ * @param {object[]} patch
+ * @public
+ *
+ * Example:
+ *
+ *  applyPatch(otherRequest, createPatch(diffRequests(previousRequest, request)))
+ */
+function applyPatch(request, patch, context = defaultContext) {
+    applyPatchOperations(request, patch, context, (r, refinements, result_type) => addRefinements(r, refinements, result_type, context))
+}
+
+/*
+ * Remove cached attribute data - see index-async.js. The synchronous functions read metadata directly and do not
+ * cache attribute data, so this only has an effect on a cache shared with index-async.js.
+ *
+ * @param {string} schema
+ * @param {string[]} attributes
+ * @public
+ */
+function invalidateAttributeData(schema, attributes) {
+    defaultContext.loader.invalidate(schema, attributes)
+}
+
+// private functions
+
+// return the uiAttrMap object for an attribute, or null if there is no metadata for the schema
+function getAttrObj(context, schema, attribute) {
+    const metadata = context.findMetadata(schema)
+    return metadata ? metadata.uiAttrMap[attribute] || null : null
+}
@@ -0,0 +1,74 @@
+const { LOG_PREFIX } = require('./constants')
+
+/*
+ * Module exports.
+ * @private
+ */
+module.exports = {
+      deepClone
+    , hashString
+    , isEqual
+    , log
+    , logErr
+    , stableStringify
+}
+
+// return a deep copy of a plain JSON value
+function deepClone(o) {
+    if (typeof o !== 'object' || o === null) return o
+    if (Array.isArray(o)) return o.map(deepClone)
+
+    const copy = {}
+    Object.keys(o).forEach(key => { copy[key] = deepClone(o[key]) })
+    return copy
+}
+
+// return the 32 bit FNV-1a hash of a string as an unsigned integer - 'seed' replaces the FNV offset basis
+function hashString(s, seed = 0x811c9dc5) {
+    let hash = seed
+
+    for (let i = 0; i < s.length; i++) {
+        hash ^= s.charCodeAt(i)
+        hash = Math.imul(hash, 0x01000193)
+    }
+
+    return hash >>> 0
+}
+
+// return true if the two values are deeply equal - intended for plain JSON values only
+function isEqual(a, b) {
+    if (a === b) return true
+    if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false
+    if (Array.isArray(a) !== Array.isArray(b)) return false
+
+    const aKeys = Object.keys(a)
+        , bKeys = Object.keys(b)
+
+    if (aKeys.length !== bKeys.length) return false
+
+    return aKeys.every(key => Object.prototype.hasOwnProperty.call(b, key) && isEqual(a[key], b[key]))
+}
+
+// return JSON for a plain JSON value with object keys in sorted order, so that equal values have equal strings
+function stableStringify(o) {
+    if (typeof o !== 'object' || o === null) return JSON.stringify(o)
+    if (Array.isArray(o)) return '[' + o.map(stableStringify).join(',') + ']'
+
+    return '{' + Object.keys(o).sort()
+        .filter(key => typeof o[key] !== 'undefined')
+        .map(key => JSON.stringify(key) + ':' + stableStringify(o[key]))
+        .join(',') + '}'
+}
+
+function logErr(o, name) {
+    log(o, name, true)
+}
+
+function log(o, name, err) {
+    const type = typeof o
+    if (!name) name = type
+    const output = (type === 'object') ? JSON.stringify(o, null, 2) : o
+
+    if (err) console.error(LOG_PREFIX + ': ' + name + '=' + output)
+    else console.log(LOG_PREFIX + ': ' + name + '=' + output)
+}
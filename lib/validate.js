@@ -0,0 +1,304 @@
+const { GROUP, TERMINAL, AND, OR, RETURN_TYPES, LABEL_NESTED_ATTRIBUTE } = require('./constants')
+    , { createContext } = require('./context')
+    , { getNestedAttributes } = require('./nodes')
+    , { RequestValidationError } = require('./errors')
+
+/*
+ * Module exports.
+ * @public
+ */
+module.exports = {
+      assertValidRequest
+    , validateRequest
+}
+
+const ATTRIBUTE_OPERATORS = ['exact_match', 'in', 'range', 'less', 'less_or_equal', 'greater', 'greater_or_equal',
+        'equals', 'exists', 'contains_words', 'contains_phrase']
+    // per-service parameter validation - each function returns a list of [key, message] pairs
+    , SERVICES = {
+          text: validateAttributeParameters
+        , text_chem: validateAttributeParameters
+        , full_text: (p) => [
+            requireType(p, 'value', 'string')
+        ]
+        , sequence: (p) => [
+              requireType(p, 'value', 'string')
+            , optionalType(p, 'evalue_cutoff', 'number')
+            , optionalType(p, 'identity_cutoff', 'number')
+            , optionalEnum(p, 'sequence_type', ['protein', 'dna', 'rna'])
+            , optionalType(p, 'target', 'string')
+        ]
+        , seqmotif: (p) => [
+              requireType(p, 'value', 'string')
+            , requireEnum(p, 'pattern_type', ['simple', 'prosite', 'regex'])
+            , optionalEnum(p, 'sequence_type', ['protein', 'dna', 'rna'])
+        ]
+        , structure: (p) => [
+              requireType(p, 'value', 'object')
+            , (p.value && typeof p.value === 'object' && typeof p.value.entry_id !== 'string')
+                ? ['value.entry_id', 'must be a string'] : null
+            , optionalEnum(p, 'operator', ['strict_shape_match', 'relaxed_shape_match'])
+        ]
+        , strucmotif: (p) => [
+            requireType(p, 'value', 'object')
+        ]
+        , chemical: (p) => [
+              requireType(p, 'value', 'string')
+            , requireEnum(p, 'type', ['descriptor', 'formula'])
+            , (p.type === 'descriptor') ? requireEnum(p, 'descriptor_type', ['SMILES', 'InChI']) : null
+            , optionalType(p, 'match_type', 'string')
+            , optionalType(p, 'match_subset', 'boolean')
+        ]
+    }
+
+/*
+ * Validate a Search API request. Returns a list of errors - an empty list if the request is valid. Each error has a
+ * 'path' to the invalid value in JSON path format, a 'code' and a 'message':
+
+    [
+        {
+            path: "$.query.nodes[0].nodes[1].parameters.operator",
+            code: "invalid_operator",
+            message: "operator 'between' is not valid for service 'text'"
+        }
+    ]
+
+ * The following are checked:
+ *
+ *  - node types, group node 'logical_operator' and 'nodes', and terminal node 'service' and 'parameters'
+ *  - operators valid for each service, and the value type for each operator, including 'range' value objects
+ *  - nested attribute group nodes have at least 2 terminal nodes, the others of which are nested attributes of the
+ *    attribute of the first node
+ *  - attributes exist in the metadata uiAttrMap for the schema, if metadata is available
+ *
+ * options:
+ *
+ *  schema:             the schema of 'text' service attributes - 'structure' by default. 'text_chem' service attributes
+ *                      are always checked against the 'chemical' schema.
+ *  metadataProvider:   metadata used to check attributes - see createSearchRequestTools. If not set, the global
+ *                      'metadata' object is used if it exists, otherwise attributes are not checked.
+ *
+ * @param {object} request
+ * @param {object} options
+ * @public
+ */
+function validateRequest(request, options = {}) {
+    const errors = []
+        , context = createContext({ metadataProvider: options.metadataProvider })
+        , state = { errors, schema: options.schema || 'structure', context }
+
+    if (!request || typeof request !== 'object' || Array.isArray(request)) {
+        addError(state, '$', 'invalid_request', 'request must be an object')
+        return errors
+    }
+
+    if (!request.query) addError(state, '$.query', 'missing_query', 'request must have a query')
+    else validateNode(state, request.query, '$.query')
+
+    if (typeof request.return_type !== 'undefined' && RETURN_TYPES.indexOf(request.return_type) === -1)
+        addError(state, '$.return_type', 'invalid_return_type', "return_type '" + request.return_type + "' is not valid")
+
+    return errors
+}
+
+/*
+ * Validate a Search API request and throw a RequestValidationError if it is invalid. Used by the add functions in
+ * strict mode.
+ *
+ * @param {object} request
+ * @param {object} options
+ * @private
+ */
+function assertValidRequest(request, options) {
+    const errors = validateRequest(request, options)
+    if (errors.length) throw new RequestValidationError(errors)
+}
+
+// private functions
+
+function addError(state, path, code, message) {
+    state.errors.push({ path, code, message })
+}
+
+function validateNode(state, node, path) {
+    if (!node || typeof node !== 'object') return addError(state, path, 'invalid_node', 'node must be an object')
+
+    if (node.type === GROUP) validateGroupNode(state, node, path)
+    else if (node.type === TERMINAL) validateTerminalNode(state, node, path)
+    else addError(state, path + '.type', 'invalid_node_type', "node type must be 'group' or 'terminal'")
+}
+
+function validateGroupNode(state, node, path) {
+    const { logical_operator, nodes, label } = node
+
+    if (logical_operator !== AND && logical_operator !== OR)
+        addError(state, path + '.logical_operator', 'invalid_logical_operator', "logical_operator must be 'and' or 'or'")
+
+    if (!Array.isArray(nodes) || nodes.length === 0)
+        return addError(state, path + '.nodes', 'invalid_nodes', 'group node must have a non-empty nodes array')
+
+    nodes.forEach((n, i) => validateNode(state, n, path + '.nodes[' + i + ']'))
+
+    if (label === LABEL_NESTED_ATTRIBUTE) validateNestedAttributeNode(state, node, path)
+}
+
+/*
+    A nested attribute group node must contain at least 2 terminal nodes. The nodes after the first must be nested
+    attributes of the attribute of the first node - its uiAttrMap 'nestedAttribute', or one of a list of them.
+*/
+function validateNestedAttributeNode(state, node, path) {
+    const { nodes } = node
+
+    if (nodes.length < 2 || nodes.some(n => !n || n.type !== TERMINAL || !n.parameters))
+        return addError(state, path + '.nodes', 'invalid_nested_attribute', 'nested attribute group node must have at least 2 terminal nodes')
+
+    const nestedAttributes = getNestedAttributes(getAttrObj(state, nodes[0].service, nodes[0].parameters.attribute))
+        .map(nestedAttribute => nestedAttribute.attribute)
+
+    if (nestedAttributes.length === 0) return
+
+    nodes.slice(1).forEach((n, i) => {
+        if (nestedAttributes.indexOf(n.parameters.attribute) === -1) {
+            addError(state, path + '.nodes[' + (i + 1) + '].parameters.attribute', 'invalid_nested_attribute',
+                'nested attribute must be ' + nestedAttributes.map(a => "'" + a + "'").join(' or '))
+        }
+    })
+}
+
+function validateTerminalNode(state, node, path) {
+    const { service, parameters } = node
+        , validateParameters = SERVICES[service]
+
+    if (!validateParameters)
+        return addError(state, path + '.service', 'invalid_service', "service '" + service + "' is not valid")
+
+    if (!parameters || typeof parameters !== 'object') {
+        // a text service terminal node without parameters matches all documents
+        if (service === 'text' && typeof parameters === 'undefined') return
+        return addError(state, path + '.parameters', 'invalid_parameters', 'parameters must be an object')
+    }
+
+    validateParameters(parameters, service).forEach(error => {
+        if (!error) return
+        const [key, message, code] = error
+        addError(state, path + '.parameters.' + key, code || 'invalid_parameter', key + ' ' + message)
+    })
+
+    if ((service === 'text' || service === 'text_chem') && typeof parameters.attribute === 'string') {
+        const metadata = getSchemaMetadata(state, service)
+
+        if (metadata && !metadata.uiAttrMap[parameters.attribute]) {
+            addError(state, path + '.parameters.attribute', 'unknown_attribute',
+                "attribute '" + parameters.attribute + "' is not in the " + getSchema(state, service) + ' metadata')
+        }
+    }
+}
+
+// validate 'text' and 'text_chem' service parameters - the value type depends on the operator
+function validateAttributeParameters(p, service) {
+    const { operator, value } = p
+        , errors = [requireType(p, 'attribute', 'string')]
+
+    if (typeof operator === 'undefined') return errors.concat([['operator', 'is required', 'missing_parameter']])
+
+    if (ATTRIBUTE_OPERATORS.indexOf(operator) === -1)
+        return errors.concat([['operator', "'" + operator + "' is not valid for service '" + service + "'", 'invalid_operator']])
+
+    switch (operator) {
+        case 'exists':
+            break
+        case 'in':
+            if (!Array.isArray(value) || value.length === 0) errors.push(['value', "must be a non-empty array for operator 'in'", 'invalid_value'])
+            break
+        case 'range':
+            errors.push(...validateRange(value))
+            break
+        case 'less':
+        case 'less_or_equal':
+        case 'greater':
+        case 'greater_or_equal':
+        case 'equals':
+            if (!isNumberOrDate(value)) errors.push(['value', "must be a number or date for operator '" + operator + "'", 'invalid_value'])
+            break
+        case 'contains_words':
+        case 'contains_phrase':
+            if (typeof value !== 'string') errors.push(['value', "must be a string for operator '" + operator + "'", 'invalid_value'])
+            break
+        default: // exact_match
+            if (['string', 'number', 'boolean'].indexOf(typeof value) === -1)
+                errors.push(['value', "must be a string, number or boolean for operator '" + operator + "'", 'invalid_value'])
+    }
+
+    return errors
+}
+
+// validate a 'range' value object
+function validateRange(value) {
+    const errors = []
+
+    if (!value || typeof value !== 'object' || Array.isArray(value))
+        return [['value', "must be an object for operator 'range'", 'invalid_value']]
+
+    Object.keys(value).forEach(key => {
+        if (['from', 'to', 'include_lower', 'include_upper'].indexOf(key) === -1)
+            errors.push(['value.' + key, 'is not a valid range field', 'invalid_range'])
+    })
+
+    if (typeof value.from === 'undefined' && typeof value.to === 'undefined')
+        errors.push(['value', "must have 'from' or 'to'", 'invalid_range'])
+
+    ;['from', 'to'].forEach(key => {
+        if (typeof value[key] !== 'undefined' && !isNumberOrDate(value[key]))
+            errors.push(['value.' + key, 'must be a number or date', 'invalid_range'])
+    })
+
+    ;['include_lower', 'include_upper'].forEach(key => {
+        if (typeof value[key] !== 'undefined' && typeof value[key] !== 'boolean')
+            errors.push(['value.' + key, 'must be a boolean', 'invalid_range'])
+    })
+
+    if (typeof value.from === typeof value.to && isNumberOrDate(value.from) && isNumberOrDate(value.to) && value.from > value.to)
+        errors.push(['value', "'from' must not be greater than 'to'", 'invalid_range'])
+
+    return errors
+}
+
+function isNumberOrDate(value) {
+    return (typeof value === 'number' && !isNaN(value)) || (typeof value === 'string' && !isNaN(Date.parse(value)))
+}
+
+function requireType(p, key, type) {
+    const value = p[key]
+    if (typeof value === 'undefined') return [key, 'is required', 'missing_parameter']
+    if (typeof value !== type || value === null) return [key, 'must be a ' + type]
+    return null
+}
+
+function optionalType(p, key, type) {
+    return (typeof p[key] === 'undefined') ? null : requireType(p, key, type)
+}
+
+function requireEnum(p, key, values) {
+    const value = p[key]
+    if (typeof value === 'undefined') return [key, 'is required', 'missing_parameter']
+    if (values.indexOf(value) === -1) return [key, 'must be one of ' + values.join(', ')]
+    return null
+}
+
+function optionalEnum(p, key, values) {
+    return (typeof p[key] === 'undefined') ? null : requireEnum(p, key, values)
+}
+
+function getSchema(state, service) {
+    return (service === 'text_chem') ? 'chemical' : state.schema
+}
+
+// return the metadata for the schema of a service, or null if no metadata is available synchronously
+function getSchemaMetadata(state, service) {
+    return state.context.findMetadata(getSchema(state, service))
+}
+
+function getAttrObj(state, service, attribute) {
+    const metadata = getSchemaMetadata(state, service)
+    return metadata ? metadata.uiAttrMap[attribute] : null
+}
@@ -0,0 +1,55 @@
+const { describe, it } = require('node:test')
+    , assert = require('node:assert/strict')
+    , { createSearchRequestTools, query, RequestValidationError } = require('..')
+    , metadataProvider = require('./fixtures/metadata')
+
+const tools = createSearchRequestTools({ metadataProvider })
+
+function getRequest(text) {
+    return query().text('struct.title').containsWords(text).build()
+}
+
+describe('createPatch / applyPatch', () => {
+    it('applies the changes between two requests to another request', () => {
+        const a = getRequest('kinase')
+            , b = getRequest('kinase')
+            , other = getRequest('kinase')
+
+        tools.addRefinements(a, [{ attribute: 'rcsb_entry_info.resolution_combined', values: ['0.5-1.0'] }])
+        tools.addRefinements(other, [{ attribute: 'rcsb_entry_info.resolution_combined', values: ['0.5-1.0'] }])
+        tools.addRefinements(b, [
+              { attribute: 'rcsb_entry_info.resolution_combined', values: ['1.0-1.5'] }
+            , { attribute: 'rcsb_accession_info.initial_release_date', values: ['2010-01-01/2012-12-31'] }
+        ])
+        tools.setPaging(b, 25, 25)
+
+        const patch = tools.createPatch(tools.diffRequests(a, b))
+
+        tools.applyPatch(other, JSON.parse(JSON.stringify(patch)))
+
+        assert.deepEqual(tools.diffRequests(other, b).refinements, { added: [], removed: [], changed: [] })
+        assert.deepEqual(tools.diffRequests(other, b).options, [])
+    })
+
+    it('returns an empty patch for equal requests', () => {
+        assert.deepEqual(tools.createPatch(tools.diffRequests(getRequest('kinase'), getRequest('kinase'))), [])
+    })
+
+    it('rejects malformed operations before modifying the request', () => {
+        const request = getRequest('kinase')
+            , expected = getRequest('kinase')
+            , patch = [
+                  { op: 'add', refinements: [{ attribute: 'exptl.method', values: ['X-RAY DIFFRACTION'] }] }
+                , { op: 'add', refinements: [{ attribute: 'exptl.method' }] }
+                , { op: 'move' }
+            ]
+
+        assert.throws(() => tools.applyPatch(request, patch), (err) => {
+            assert.ok(err instanceof RequestValidationError)
+            assert.deepEqual(err.errors.map(e => e.path), ['$[1].refinements[0].values', '$[2].op'])
+            return true
+        })
+        assert.deepEqual(request, expected)
+        assert.throws(() => tools.applyPatch(request, {}), RequestValidationError)
+    })
+})
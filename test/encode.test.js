@@ -0,0 +1,105 @@
+const { describe, it } = require('node:test')
+    , assert = require('node:assert/strict')
+    , { createSearchRequestTools, query, RequestDecodeError } = require('..')
+    , { hashString } = require('../lib/utils')
+    , metadataProvider = require('./fixtures/metadata')
+
+const tools = createSearchRequestTools({ metadataProvider })
+
+// return an encoded request for a payload (an object or its JSON) with a valid checksum, as a crafted URL would have
+function encodePayload(payload) {
+    const json = (typeof payload === 'string') ? payload : JSON.stringify(payload)
+        , base64 = Buffer.from(json, 'utf8').toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+
+    return '1.' + base64 + '.' + hashString(json).toString(36)
+}
+
+function getRequest() {
+    const request = query().text('exptl.method').equals('ELECTRON MICROSCOPY').build()
+
+    tools.addRefinements(request, [
+          { attribute: 'rcsb_entry_info.resolution_combined', values: ['*-0.5', '0.5-1.0'] }
+        , { attribute: 'rcsb_polymer_entity_annotation.name', values: ['Kinase'] }
+        , { attribute: 'rcsb_accession_info.initial_release_date', values: ['2010', '2015-01-01/2016-06-30'] }
+    ])
+    tools.setPaging(request, 25, 25)
+    tools.setSort(request, 'rcsb_accession_info.initial_release_date')
+    tools.addFacet(request, { aggregation_type: 'terms', attribute: 'exptl.method' })
+
+    return request
+}
+
+const terminal = { s: 0, a: 'exptl.method', o: 0, v: 'X' }
+
+describe('encodeRequest / decodeRequest', () => {
+    it('round-trips a request with refinements and request options', () => {
+        const request = getRequest()
+        assert.deepEqual(tools.decodeRequest(tools.encodeRequest(request)), request)
+    })
+
+    it('round-trips a terminal node with a node_id', () => {
+        const request = { query: { type: 'terminal', service: 'text', node_id: 1, parameters: { attribute: 'exptl.method', operator: 'exact_match', value: 'X' } } }
+        assert.deepEqual(tools.decodeRequest(tools.encodeRequest(request)), request)
+    })
+
+    it('rejects malformed, modified and unknown versions of encoded requests', () => {
+        const encoded = tools.encodeRequest(getRequest())
+
+        assert.throws(() => tools.decodeRequest(encoded.replace(/^1/, '2')), RequestDecodeError)
+        assert.throws(() => tools.decodeRequest(encoded.slice(0, -1) + 'x'), RequestDecodeError)
+        assert.throws(() => tools.decodeRequest('garbage'), RequestDecodeError)
+        assert.throws(() => tools.decodeRequest(42), RequestDecodeError)
+    })
+
+    it('rejects unknown codes', () => {
+        assert.throws(() => tools.decodeRequest(encodePayload({ q: terminal, t: 'bogus' })), /Unknown return type code/)
+        assert.throws(() => tools.decodeRequest(encodePayload({ q: Object.assign({}, terminal, { s: 'bogus' }) })), /Unknown service code/)
+        assert.throws(() => tools.decodeRequest(encodePayload({ q: Object.assign({}, terminal, { o: 99 }) })), /Unknown operator code/)
+        assert.throws(() => tools.decodeRequest(encodePayload({ q: Object.assign({}, terminal, { a: 1 }) })), /Unknown attribute code/)
+    })
+
+    it('only restores known top-level keys', () => {
+        const x = JSON.parse('{"__proto__":{"polluted":true},"query":1,"return_type":"x","request_info":{"src":"ui"},"other":1}')
+            , request = tools.decodeRequest(encodePayload({ q: terminal, x }))
+
+        assert.deepEqual(Object.keys(request), ['query', 'request_info'])
+        assert.equal(request.polluted, undefined)
+        assert.equal({}.polluted, undefined)
+    })
+
+    it('rejects __proto__ in terminal node parameters', () => {
+        const p = JSON.parse('{"__proto__":{"polluted":true}}')
+        assert.throws(() => tools.decodeRequest(encodePayload({ q: Object.assign({}, terminal, { p }) })), RequestDecodeError)
+    })
+
+    it('rejects raw nodes other than terminal nodes with a node_id', () => {
+        const raw = { type: 'terminal', service: 'text', node_id: 1, parameters: { attribute: 'exptl.method', operator: 'exact_match', value: 'X' } }
+
+        assert.throws(() => tools.decodeRequest(encodePayload({ q: { r: Object.assign({}, raw, { extra: 1 }) } })), /Unknown terminal node property/)
+        assert.throws(() => tools.decodeRequest(encodePayload({ q: { r: { type: 'group', logical_operator: 'and', nodes: [raw] } } })), RequestDecodeError)
+        assert.throws(() => tools.decodeRequest(encodePayload({ q: { r: 'node' } })), RequestDecodeError)
+    })
+
+    it('rejects deeply nested and very large queries', () => {
+        const deep = '{"q":' + '[0,0,'.repeat(5000) + JSON.stringify(terminal) + ']'.repeat(5000) + '}'
+            , wide = [0, 0].concat(Array.from({ length: 6000 }, (_, i) => Object.assign({}, terminal, { v: 'X' + i })))
+
+        assert.throws(() => tools.decodeRequest(encodePayload(deep)), /nested more than/)
+        assert.throws(() => tools.decodeRequest(encodePayload({ q: wide })), /more than 5000 nodes/)
+    })
+
+    it('rejects requests that are not valid', () => {
+        assert.throws(() => tools.decodeRequest(encodePayload({ t: 0 })), /request must have a query/)
+        assert.throws(() => tools.decodeRequest(encodePayload({ q: Object.assign({}, terminal, { a: 'unknown.attribute' }) })), /not in the structure metadata/)
+    })
+
+    it('rejects request options that are not valid', () => {
+        const decode = (o) => () => tools.decodeRequest(encodePayload({ q: terminal, o }))
+
+        assert.throws(decode(5), /request_options must be an object/)
+        assert.throws(decode({ paginate: { start: -5, rows: 'lots' } }), /start must be a non-negative integer/)
+        assert.throws(decode({ sort: 'nope' }), /sort must be an array/)
+        assert.throws(decode({ facets: [{ aggregation_type: 'histogram', attribute: 'exptl.method', interval: 1 }] }), /must be a number/)
+        assert.throws(decode({ unknown: true }), /request option 'unknown' is not valid/)
+    })
+})
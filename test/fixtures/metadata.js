@@ -0,0 +1,28 @@
+/*
+ * Metadata for the tests, in the format of the global 'metadata' object - see createSearchRequestTools.
+ */
+module.exports = {
+      structure: {
+          uiAttrMap: {
+              'exptl.method': { attribute: 'exptl.method', type: 'string' }
+            , 'rcsb_entry_info.resolution_combined': { attribute: 'rcsb_entry_info.resolution_combined', type: 'number', units: 'Å' }
+            , 'rcsb_accession_info.initial_release_date': { attribute: 'rcsb_accession_info.initial_release_date', type: 'date' }
+            , 'rcsb_polymer_entity_annotation.name': { attribute: 'rcsb_polymer_entity_annotation.name', type: 'string' }
+            , 'rcsb_polymer_entity_annotation.type': { attribute: 'rcsb_polymer_entity_annotation.type', type: 'string' }
+            , 'struct.title': { attribute: 'struct.title', type: 'text' }
+        }
+        , facetFilters: {
+            'rcsb_polymer_entity_annotation.name': {
+                  type: 'terminal'
+                , service: 'text'
+                , parameters: { attribute: 'rcsb_polymer_entity_annotation.type', operator: 'exact_match', value: 'Pfam' }
+            }
+        }
+    }
+    , chemical: {
+          uiAttrMap: {
+            'chem_comp.formula_weight': { attribute: 'chem_comp.formula_weight', type: 'number' }
+        }
+        , facetFilters: {}
+    }
+}
@@ -0,0 +1,98 @@
+const { describe, it } = require('node:test')
+    , assert = require('node:assert/strict')
+    , { createAttributeDataLoader } = require('../lib/loader')
+
+// return a fetch stub that responds with the attribute data of 'data' (keyed by attribute) and records the requests -
+// responses wait for 'gate' if set
+function createFetch(data, gate) {
+    const calls = []
+        , fetch = async (url, options) => {
+            const { attributes } = JSON.parse(options.body)
+
+            calls.push(attributes)
+            if (gate) await gate
+
+            return {
+                  ok: true
+                , status: 200
+                , json: async () => attributes.filter(a => data[a]).map(a => ({ attribute: a, attrObj: data[a] }))
+            }
+        }
+
+    return { fetch, calls }
+}
+
+// a Map-like cache without 'keys'
+function createCache() {
+    const map = new Map()
+
+    return {
+          get: (key) => map.get(key)
+        , set: (key, value) => map.set(key, value)
+        , has: (key) => map.has(key)
+        , delete: (key) => map.delete(key)
+        , clear: () => map.clear()
+    }
+}
+
+describe('attribute data loader', () => {
+    it('caches attribute data per schema and attribute', async () => {
+        const { fetch, calls } = createFetch({ a: { type: 'text' } })
+            , loader = createAttributeDataLoader({ fetch })
+
+        assert.deepEqual(await loader.load('structure', ['a', 'b']), { a: { attrObj: { type: 'text' }, facetFilter: null }, b: { attrObj: null, facetFilter: null } })
+        await loader.load('structure', ['a', 'b'])
+        await loader.load('chemical', ['a'])
+
+        assert.deepEqual(calls, [['a', 'b'], ['a']])
+    })
+
+    it('invalidates attributes and schemas with a cache without keys', async () => {
+        const { fetch, calls } = createFetch({ a: { type: 'text' }, b: { type: 'date' } })
+            , loader = createAttributeDataLoader({ fetch, cache: createCache() })
+
+        await loader.load('structure', ['a', 'b'])
+        await loader.load('chemical', ['a'])
+
+        loader.invalidate('structure', ['a'])
+        assert.equal(loader.get('structure', 'a'), undefined)
+        assert.ok(loader.get('structure', 'b'))
+
+        loader.invalidate('structure')
+        assert.equal(loader.get('structure', 'b'), undefined)
+        assert.ok(loader.get('chemical', 'a'))
+
+        loader.invalidate()
+        assert.equal(loader.get('chemical', 'a'), undefined)
+
+        await loader.load('structure', ['a'])
+        assert.deepEqual(calls, [['a', 'b'], ['a'], ['a']])
+    })
+
+    it('does not cache attribute data invalidated while its request is in flight', async () => {
+        let release
+
+        const gate = new Promise(resolve => { release = resolve })
+            , { fetch, calls } = createFetch({ a: { type: 'text' } }, gate)
+            , loader = createAttributeDataLoader({ fetch })
+            , pending = loader.load('structure', ['a'])
+
+        while (calls.length === 0) await new Promise(resolve => setTimeout(resolve, 1))
+        loader.invalidate('structure', ['a'])
+        release()
+        await pending
+
+        assert.equal(loader.get('structure', 'a'), undefined)
+        await loader.load('structure', ['a'])
+        assert.equal(calls.length, 2)
+    })
+
+    it('uses fallback metadata with only a uiAttrMap if the server cannot be reached', async () => {
+        const fetch = async () => { throw new Error('offline') }
+            , loader = createAttributeDataLoader({ fetch, retries: 0, fallbackMetadata: { structure: { uiAttrMap: { a: { type: 'text' } } } } })
+
+        assert.deepEqual(await loader.load('structure', ['a', 'b']), { a: { attrObj: { type: 'text' }, facetFilter: null }, b: { attrObj: null, facetFilter: null } })
+        assert.equal(loader.get('structure', 'a'), undefined)
+        await assert.rejects(loader.load('chemical', ['a']), { name: 'AttributeDataError', code: 'network' })
+    })
+})
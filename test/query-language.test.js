@@ -0,0 +1,47 @@
+const { describe, it } = require('node:test')
+    , assert = require('node:assert/strict')
+    , { createSearchRequestTools, query, QueryParseError } = require('..')
+    , metadataProvider = require('./fixtures/metadata')
+
+const tools = createSearchRequestTools({ metadataProvider })
+
+describe('parseQuery / printQuery', () => {
+    const texts = [
+          'exptl.method:"X-RAY DIFFRACTION"'
+        , 'rcsb_entry_info.resolution_combined:[1 TO 2.5) AND struct.title:~"protein kinase"'
+        , 'exptl.method:("X-RAY DIFFRACTION", "ELECTRON MICROSCOPY") OR "hemoglobin"'
+        , 'NOT rcsb_polymer_entity_annotation.name:"Kinase" AND rcsb_accession_info.initial_release_date:>="2010-01-01"'
+        , 'struct.title:* AND (rcsb_entry_info.resolution_combined:<2 OR rcsb_entry_info.resolution_combined:exact_match(3))'
+    ]
+
+    for (const text of texts) {
+        it('round-trips ' + text, () => {
+            const request = tools.parseQuery(text)
+                , printed = tools.printQuery(request)
+
+            assert.equal(printed, text)
+            assert.deepEqual(tools.parseQuery(printed), request)
+        })
+    }
+
+    // the labelled group nodes of the refinements are not restored, so the parsed request is printed and parsed again
+    it('prints and parses back a request with refinements', () => {
+        const request = query().text('struct.title').containsWords('kinase').build()
+
+        tools.addRefinements(request, [
+              { attribute: 'exptl.method', values: ['X-RAY DIFFRACTION', 'ELECTRON MICROSCOPY'] }
+            , { attribute: 'rcsb_entry_info.resolution_combined', values: ['*-0.5', '0.5-1.0'] }
+        ])
+
+        const printed = tools.printQuery(request)
+            , parsed = tools.parseQuery(printed)
+
+        assert.equal(tools.printQuery(parsed), printed)
+        assert.deepEqual(tools.parseQuery(tools.printQuery(parsed)), parsed)
+    })
+
+    it('rejects unknown attributes and invalid syntax with the position of the error', () => {
+        assert.throws(() => tools.parseQuery('unknown.attribute:1'), QueryParseError)
+        assert.throws(() => tools.parseQuery('exptl.method:("a"'), (err) => err instanceof QueryParseError && typeof err.position === 'number')
+    })
+})
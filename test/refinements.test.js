@@ -0,0 +1,131 @@
+const { describe, it } = require('node:test')
+    , assert = require('node:assert/strict')
+    , { createSearchRequestTools, query, RefinementValueError } = require('..')
+    , metadataProvider = require('./fixtures/metadata')
+
+const RELEASE_DATE = 'rcsb_accession_info.initial_release_date'
+    , RESOLUTION = 'rcsb_entry_info.resolution_combined'
+    , METHOD = 'exptl.method'
+    , tools = createSearchRequestTools({ metadataProvider, now: () => Date.UTC(2024, 5, 15) })
+
+function getRequest() {
+    return query().text('struct.title').containsWords('kinase').build()
+}
+
+function getTerminalNode(parameters) {
+    return { type: 'terminal', service: 'text', parameters }
+}
+
+// return the parameters of the terminal nodes for an attribute in a request
+function getParameters(request, attribute) {
+    const result = []
+        , walk = (node) => {
+            if (node.type === 'terminal' && node.parameters.attribute === attribute) result.push(node.parameters)
+            else (node.nodes || []).forEach(walk)
+        }
+
+    walk(request.query)
+
+    return result
+}
+
+describe('getRefinements / addRefinements', () => {
+    for (const value of ['2010', '2010-01-01/2012-12-31', '2010-01-01/2010-12-31', '2010-03', '2011-02-03', '*-2010', '2010-*', 'now-1y', 'now-1q']) {
+        it('round-trips the date refinement value ' + value, () => {
+            const request = getRequest()
+                , restored = getRequest()
+
+            tools.addRefinements(request, [{ attribute: RELEASE_DATE, values: [value] }])
+            tools.addRefinements(restored, tools.getRefinements(request).refinements)
+
+            assert.deepEqual(restored, request)
+        })
+    }
+
+    it('returns a date range as a bucket only if it is the bucket of the attribute type', () => {
+        const request = getRequest()
+
+        tools.addRefinements(request, [{ attribute: RELEASE_DATE, values: ['2010', '2010-01-01/2012-12-31'] }])
+
+        assert.deepEqual(tools.getRefinements(request).refinements, [{ attribute: RELEASE_DATE, values: ['2010', '2010-01-01/2012-12-31'] }])
+    })
+
+    it('uses the attribute type registry of the tools', () => {
+        const yearly = createSearchRequestTools({ metadataProvider, attributeTypes: { [RELEASE_DATE]: { type: 'date', interval: '1y' } } })
+            , request = getRequest()
+
+        yearly.addRefinements(request, [{ attribute: RELEASE_DATE, values: ['2010'] }])
+
+        assert.deepEqual(yearly.getRefinements(request).refinements[0].values, ['2010'])
+        assert.deepEqual(tools.getRefinements(request).refinements[0].values, ['2010-01-01/2010-12-31'])
+    })
+
+    it('rejects invalid date values', () => {
+        assert.throws(() => tools.addRefinements(getRequest(), [{ attribute: RELEASE_DATE, values: ['2010-02-30'] }]), RefinementValueError)
+        assert.throws(() => tools.addRefinements(getRequest(), [{ attribute: RELEASE_DATE, values: ['now-1x'] }]), RefinementValueError)
+    })
+})
+
+describe('addRefinement', () => {
+    it('does not add a value already in an in node of a normalized request', () => {
+        const request = getRequest()
+
+        tools.addRefinements(request, [{ attribute: METHOD, values: ['X-RAY DIFFRACTION', 'ELECTRON MICROSCOPY'] }])
+
+        const normalized = tools.normalizeRequest(request)
+            , expected = JSON.parse(JSON.stringify(normalized))
+
+        tools.addRefinement(normalized, getTerminalNode({ attribute: METHOD, operator: 'exact_match', value: 'ELECTRON MICROSCOPY' }))
+
+        assert.deepEqual(normalized, expected)
+    })
+})
+
+describe('removeRefinement', () => {
+    function getResolutionRequest() {
+        const request = getRequest()
+
+        tools.addRefinement(request, getTerminalNode({ attribute: RESOLUTION, operator: 'less', value: 2 }))
+        tools.addRefinement(request, getTerminalNode({ attribute: RESOLUTION, operator: 'greater_or_equal', value: 2 }))
+
+        return request
+    }
+
+    it('only removes nodes with the same operator and value as a node', () => {
+        const request = getResolutionRequest()
+
+        assert.equal(tools.removeRefinement(request, getTerminalNode({ attribute: RESOLUTION, operator: 'less', value: 2 })), 1)
+        assert.deepEqual(getParameters(request, RESOLUTION), [{ attribute: RESOLUTION, operator: 'greater_or_equal', value: 2 }])
+        assert.equal(tools.removeRefinement(request, getTerminalNode({ attribute: RESOLUTION, operator: 'equals', value: 2 })), 0)
+    })
+
+    it('removes nodes with any operator for an attribute and value', () => {
+        assert.equal(tools.removeRefinement(getResolutionRequest(), RESOLUTION, 2), 2)
+    })
+
+    it('removes a value from an in node', () => {
+        const request = getRequest()
+
+        tools.addRefinements(request, [{ attribute: METHOD, values: ['X-RAY DIFFRACTION', 'ELECTRON MICROSCOPY'] }])
+
+        const normalized = tools.normalizeRequest(request)
+
+        assert.equal(tools.removeRefinement(normalized, getTerminalNode({ attribute: METHOD, operator: 'exact_match', value: 'ELECTRON MICROSCOPY' })), 1)
+        assert.deepEqual(getParameters(normalized, METHOD)[0].value, ['X-RAY DIFFRACTION'])
+    })
+
+    it('converts the value of a node with the attribute types and clock of the tools', () => {
+        const yearly = createSearchRequestTools({
+                  metadataProvider
+                , attributeTypes: { [RELEASE_DATE]: { type: 'date', interval: '1y' } }
+                , now: () => Date.UTC(2024, 5, 15)
+            })
+            , request = getRequest()
+
+        yearly.addRefinements(request, [{ attribute: RELEASE_DATE, values: ['2010', 'now-1M'] }])
+
+        assert.equal(yearly.removeRefinement(request, getTerminalNode({ attribute: RELEASE_DATE, value: '2010' })), 1)
+        assert.equal(yearly.removeRefinement(request, getTerminalNode({ attribute: RELEASE_DATE, value: 'now-1M' })), 1)
+        assert.deepEqual(getParameters(request, RELEASE_DATE), [])
+    })
+})